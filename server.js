@@ -2,1224 +2,8796 @@
 
 /**
  * Yahoo Mail MCP Server with OAuth2 - A beginner-friendly introduction to MCP
- * This server provides read-only access to Yahoo Mail via OAuth2 and IMAP
+ * This server reads, sends, organizes and deletes mail over IMAP and SMTP for Yahoo Mail
+ * and other providers (AOL, Gmail, Outlook, iCloud, Fastmail or any IMAP server), with
+ * app passwords or XOAUTH2
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+    CallToolRequestSchema,
+    ListToolsRequestSchema,
+    ListPromptsRequestSchema,
+    GetPromptRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import Imap from 'imap';
 import { simpleParser } from 'mailparser';
+import nodemailer from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+import addressparser from 'nodemailer/lib/addressparser/index.js';
+import libmime from 'libmime';
+import libqp from 'libqp';
 import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import dns from 'dns/promises';
+import net from 'net';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import YAML from 'yaml';
 
 // Load environment variables from .env file (for local development)
 dotenv.config();
 
-class YahooMailMCPServer {
-    constructor() {
-        this.server = new Server(
-            {
-                name: 'yahoo-mail-mcp',
-                version: '3.0.0',
-            },
-            {
-                capabilities: {
-                    tools: {},
-                },
+/**
+ * IMAP/SMTP settings for common providers, selected with IMAP_PROVIDER or an account's "provider"
+ * security: "tls" (implicit TLS), "starttls" (upgrade after connecting) or "none" (plain, local testing only)
+ */
+const PROVIDER_PRESETS = {
+    yahoo: {
+        name: 'Yahoo Mail',
+        imap: { host: 'imap.mail.yahoo.com', port: 993, security: 'tls' },
+        smtp: { host: 'smtp.mail.yahoo.com', port: 465, security: 'tls' },
+        passwordHelp: 'Use an app password from https://login.yahoo.com/account/security'
+    },
+    aol: {
+        name: 'AOL Mail',
+        imap: { host: 'imap.aol.com', port: 993, security: 'tls' },
+        smtp: { host: 'smtp.aol.com', port: 465, security: 'tls' },
+        passwordHelp: 'Use an app password from https://login.aol.com/account/security'
+    },
+    gmail: {
+        name: 'Gmail',
+        imap: { host: 'imap.gmail.com', port: 993, security: 'tls' },
+        smtp: { host: 'smtp.gmail.com', port: 465, security: 'tls' },
+        passwordHelp: 'Use an app password from https://myaccount.google.com/apppasswords or an OAuth2 access token'
+    },
+    outlook: {
+        name: 'Outlook / Microsoft 365',
+        imap: { host: 'outlook.office365.com', port: 993, security: 'tls' },
+        smtp: { host: 'smtp.office365.com', port: 587, security: 'starttls' },
+        passwordHelp: 'Microsoft has disabled password logins for most accounts; use auth "xoauth2" with an OAuth2 access token'
+    },
+    icloud: {
+        name: 'iCloud Mail',
+        imap: { host: 'imap.mail.me.com', port: 993, security: 'tls' },
+        smtp: { host: 'smtp.mail.me.com', port: 587, security: 'starttls' },
+        passwordHelp: 'Use an app-specific password from https://account.apple.com'
+    },
+    fastmail: {
+        name: 'Fastmail',
+        imap: { host: 'imap.fastmail.com', port: 993, security: 'tls' },
+        smtp: { host: 'smtp.fastmail.com', port: 465, security: 'tls' },
+        passwordHelp: 'Use an app password from Fastmail Settings > Privacy & Security'
+    }
+};
+
+/**
+ * Addresses one-click unsubscribe must never reach: the IANA special-purpose ranges that aren't
+ * globally reachable (loopback, private, link-local, CGNAT, benchmarking, documentation, multicast,
+ * reserved). IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges
+ */
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+    NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * IMAP connection pool - keeps authenticated sessions alive and reuses them across tool calls
+ * instead of doing a TLS handshake + LOGIN per call (slow, and trips Yahoo rate limits)
+ */
+class ImapConnectionPool {
+    constructor(createConnection, options = {}) {
+        this.createConnection = createConnection;
+        this.maxSize = options.maxSize || 3;
+        this.idleTimeout = options.idleTimeout || 300000;
+
+        this.idle = [];                 // Authenticated connections ready for reuse
+        this.inUse = new Set();         // Connections currently handed out
+        this.pending = 0;               // Connections being established
+        this.waiters = [];              // acquire() calls waiting for a free connection
+        this.idleTimers = new Map();    // Connection -> idle timeout handle
+        this.selected = new WeakMap();  // Connection -> { name, readOnly, box } of the selected mailbox
+        this.closing = new WeakSet();   // Connections we closed on purpose
+
+        this.stats = {
+            created: 0,
+            reused: 0,
+            dropped: 0,
+            lastConnectedAt: null,
+            lastError: null,
+            lastErrorAt: null
+        };
+    }
+
+    /**
+     * Get an authenticated connection, reusing an idle one when possible
+     */
+    async acquire() {
+        while (this.idle.length > 0) {
+            const imap = this.idle.pop();
+            this.clearIdleTimer(imap);
+
+            if (this.isAlive(imap)) {
+                this.inUse.add(imap);
+                this.stats.reused++;
+                return imap;
             }
-        );
 
-        // Store active SSE transports (for routing messages)
-        this.transports = new Map();
+            this.discard(imap);
+        }
 
-        // Store valid OAuth access tokens (in-memory)
-        // In production, use Redis or a database with TTL
-        this.validTokens = new Set();
+        if (this.inUse.size + this.pending < this.maxSize) {
+            return this.connect();
+        }
 
-        // Store authorization codes for OAuth authorization code flow
-        // In production, use Redis with short TTL (60 seconds)
-        this.authCodes = new Map();
+        // Pool is full - wait for a connection to be released
+        return new Promise((resolve, reject) => {
+            this.waiters.push({ resolve, reject });
+        });
+    }
 
-        this.setupToolHandlers();
-        this.setupErrorHandling();
+    /**
+     * Return a connection to the pool (dead connections are dropped)
+     */
+    release(imap) {
+        if (!this.inUse.delete(imap)) return;
+
+        if (!this.isAlive(imap)) {
+            this.discard(imap);
+            this.serviceWaiters();
+            return;
+        }
+
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            this.inUse.add(imap);
+            this.stats.reused++;
+            waiter.resolve(imap);
+            return;
+        }
+
+        this.idle.push(imap);
+
+        // Close connections that sit unused for too long
+        const timer = setTimeout(() => {
+            this.idle = this.idle.filter(conn => conn !== imap);
+            this.idleTimers.delete(imap);
+            console.error('[Pool] Closing idle IMAP connection');
+            this.close(imap);
+        }, this.idleTimeout);
+        timer.unref();
+        this.idleTimers.set(imap, timer);
     }
 
     /**
-     * Setup MCP tool handlers
+     * Open a mailbox, skipping the SELECT/EXAMINE if it is already selected on this connection
+     * A read-write selection also satisfies read-only requests (fetches use BODY.PEEK)
      */
-    setupToolHandlers() {
-        // Handle tool listing
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-            return {
-                tools: [
-                    {
-                        name: 'list_emails',
-                        description: 'List recent emails from a Yahoo Mail folder. Returns UIDs (permanent identifiers) and enriched metadata including size, flags, and attachment status.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                count: {
-                                    type: 'number',
-                                    description: 'Number of emails to retrieve (default: 10, max: 50)',
-                                    default: 10
-                                },
-                                folder: {
-                                    type: 'string',
-                                    description: 'Folder to list emails from (default: INBOX). Use list_folders to see available folders.',
-                                    default: 'INBOX'
-                                },
-                                offset: {
-                                    type: 'number',
-                                    description: 'Number of emails to skip (for pagination, default: 0)',
-                                    default: 0
-                                }
-                            }
-                        }
-                    },
-                    {
-                        name: 'read_email',
-                        description: 'Read email content using UIDs (permanent identifiers). UIDs don\'t change when emails are deleted. Get UIDs from list_emails or search_emails.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                uids: {
-                                    type: 'array',
-                                    items: { type: 'number' },
-                                    description: 'Array of UIDs to read. UIDs are permanent identifiers from list_emails.',
-                                    minItems: 1
-                                },
-                                folder: {
-                                    type: 'string',
-                                    description: 'Folder containing the emails (default: INBOX)',
-                                    default: 'INBOX'
-                                }
-                            },
-                            required: ['uids']
-                        }
-                    },
-                    {
-                        name: 'search_emails',
-                        description: 'Search emails using UIDs with advanced filters. Returns UIDs which are permanent identifiers that don\'t change when emails are deleted. Get UIDs from results for subsequent operations.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                query: {
-                                    type: 'string',
-                                    description: 'Search term for subject or sender (can be empty for date-only searches)',
-                                    default: ''
-                                },
-                                count: {
-                                    type: 'number',
-                                    description: 'Number of results to return (default: 10, max: 50)',
-                                    default: 10
-                                },
-                                dateFrom: {
-                                    type: 'string',
-                                    description: 'Filter emails from this date onwards (ISO 8601 or RFC 2822 format)',
-                                    default: null
-                                },
-                                dateTo: {
-                                    type: 'string',
-                                    description: 'Filter emails up to this date (ISO 8601 or RFC 2822 format)',
-                                    default: null
-                                },
-                                sender: {
-                                    type: 'string',
-                                    description: 'Filter by specific sender email address or name',
-                                    default: null
-                                },
-                                unreadOnly: {
-                                    type: 'boolean',
-                                    description: 'Only return unread emails (default: false)',
-                                    default: false
-                                },
-                                folder: {
-                                    type: 'string',
-                                    description: 'Folder to search in (default: INBOX). Use list_folders to see available folders.',
-                                    default: 'INBOX'
-                                }
-                            },
-                            required: []
-                        }
-                    },
-                    {
-                        name: 'delete_emails',
-                        description: 'Move emails to Trash folder using UIDs (soft delete, recoverable). UIDs are permanent identifiers.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                uids: {
-                                    type: 'array',
-                                    items: { type: 'number' },
-                                    description: 'Array of UIDs to delete',
-                                    minItems: 1
-                                },
-                                folder: {
-                                    type: 'string',
-                                    description: 'Source folder (default: INBOX)',
-                                    default: 'INBOX'
-                                }
-                            },
-                            required: ['uids']
-                        }
-                    },
-                    {
-                        name: 'archive_emails',
-                        description: 'Move emails to Archive folder using UIDs for long-term storage. UIDs are permanent identifiers.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                uids: {
-                                    type: 'array',
-                                    items: { type: 'number' },
-                                    description: 'Array of UIDs to archive',
-                                    minItems: 1
-                                },
-                                folder: {
-                                    type: 'string',
-                                    description: 'Source folder (default: INBOX)',
-                                    default: 'INBOX'
-                                }
-                            },
-                            required: ['uids']
-                        }
-                    },
-                    {
-                        name: 'mark_as_read',
-                        description: 'Mark emails as read using UIDs. UIDs are permanent identifiers.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                uids: {
-                                    type: 'array',
-                                    items: { type: 'number' },
-                                    description: 'Array of UIDs to mark as read',
-                                    minItems: 1
-                                },
-                                folder: {
-                                    type: 'string',
-                                    description: 'Folder containing emails (default: INBOX)',
-                                    default: 'INBOX'
-                                }
-                            },
-                            required: ['uids']
-                        }
-                    },
-                    {
-                        name: 'mark_as_unread',
-                        description: 'Mark emails as unread using UIDs. UIDs are permanent identifiers.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                uids: {
-                                    type: 'array',
-                                    items: { type: 'number' },
-                                    description: 'Array of UIDs to mark as unread',
-                                    minItems: 1
-                                },
-                                folder: {
-                                    type: 'string',
-                                    description: 'Folder containing emails (default: INBOX)',
-                                    default: 'INBOX'
-                                }
-                            },
-                            required: ['uids']
-                        }
-                    },
-                    {
-                        name: 'flag_emails',
-                        description: 'Flag emails as important/starred using UIDs. UIDs are permanent identifiers.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                uids: {
-                                    type: 'array',
-                                    items: { type: 'number' },
-                                    description: 'Array of UIDs to flag',
-                                    minItems: 1
-                                },
-                                folder: {
-                                    type: 'string',
-                                    description: 'Folder containing emails (default: INBOX)',
-                                    default: 'INBOX'
-                                }
-                            },
-                            required: ['uids']
-                        }
-                    },
-                    {
-                        name: 'unflag_emails',
-                        description: 'Remove flag/star from emails using UIDs. UIDs are permanent identifiers.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                uids: {
-                                    type: 'array',
-                                    items: { type: 'number' },
-                                    description: 'Array of UIDs to unflag',
-                                    minItems: 1
-                                },
-                                folder: {
-                                    type: 'string',
-                                    description: 'Folder containing emails (default: INBOX)',
-                                    default: 'INBOX'
-                                }
-                            },
-                            required: ['uids']
+    openBox(imap, name, readOnly, cb) {
+        const current = this.selected.get(imap);
+        if (current && current.name === name && (readOnly || !current.readOnly)) {
+            cb(null, current.box);
+            return;
+        }
+
+        // A failed SELECT leaves no mailbox selected, so forget the old one up front
+        this.selected.delete(imap);
+
+        imap.openBox(name, readOnly, (err, box) => {
+            if (!err) {
+                this.selected.set(imap, { name, readOnly, box });
+            }
+            cb(err, box);
+        });
+    }
+
+    /**
+     * Forget the cached mailbox selection (e.g. after the selected folder is renamed or deleted)
+     */
+    invalidateSelection(imap) {
+        this.selected.delete(imap);
+    }
+
+    /**
+     * Forget a mailbox (and its children) on every pooled connection that has it selected
+     */
+    invalidateMailbox(name, delimiter = '/') {
+        for (const imap of [...this.idle, ...this.inUse]) {
+            const current = this.selected.get(imap);
+            if (current && (current.name === name || current.name.startsWith(name + delimiter))) {
+                this.selected.delete(imap);
+            }
+        }
+    }
+
+    /**
+     * Close every connection (used on shutdown)
+     */
+    closeAll() {
+        for (const imap of [...this.idle, ...this.inUse]) {
+            this.clearIdleTimer(imap);
+            this.close(imap);
+        }
+        this.idle = [];
+        this.inUse.clear();
+
+        for (const waiter of this.waiters.splice(0)) {
+            waiter.reject(new Error('IMAP connection pool is shutting down'));
+        }
+    }
+
+    /**
+     * Pool health for the /health endpoint
+     */
+    getStats() {
+        const { lastConnectedAt, lastErrorAt } = this.stats;
+
+        return {
+            healthy: !lastErrorAt || (lastConnectedAt !== null && lastConnectedAt > lastErrorAt),
+            open: this.idle.length + this.inUse.size,
+            idle: this.idle.length,
+            inUse: this.inUse.size,
+            connecting: this.pending,
+            waiting: this.waiters.length,
+            maxSize: this.maxSize,
+            idleTimeoutMs: this.idleTimeout,
+            created: this.stats.created,
+            reused: this.stats.reused,
+            dropped: this.stats.dropped,
+            lastConnectedAt: lastConnectedAt ? new Date(lastConnectedAt).toISOString() : null,
+            lastError: this.stats.lastError,
+            lastErrorAt: lastErrorAt ? new Date(lastErrorAt).toISOString() : null
+        };
+    }
+
+    async connect() {
+        this.pending++;
+        try {
+            const imap = await this.createConnection();
+            this.track(imap);
+            this.inUse.add(imap);
+            this.stats.created++;
+            this.stats.lastConnectedAt = Date.now();
+            return imap;
+        } catch (err) {
+            this.recordError(err);
+            throw err;
+        } finally {
+            this.pending--;
+        }
+    }
+
+    /**
+     * Watch a new connection so drops are noticed and it is replaced on next acquire()
+     */
+    track(imap) {
+        imap.on('error', (err) => {
+            console.error('[Pool] IMAP connection error:', err.message);
+            this.recordError(err);
+        });
+
+        imap.once('close', () => {
+            const intentional = this.closing.has(imap);
+            const wasIdle = this.idle.includes(imap);
+
+            this.clearIdleTimer(imap);
+            this.idle = this.idle.filter(conn => conn !== imap);
+            this.selected.delete(imap);
+
+            if (!intentional) {
+                console.error('[Pool] IMAP connection dropped, will reconnect on next use');
+                this.stats.dropped++;
+            }
+
+            // In-use connections are dropped by release(); idle ones free a slot now
+            if (wasIdle) this.serviceWaiters();
+        });
+    }
+
+    isAlive(imap) {
+        return imap.state === 'authenticated';
+    }
+
+    discard(imap) {
+        this.clearIdleTimer(imap);
+        this.selected.delete(imap);
+        this.close(imap);
+    }
+
+    close(imap) {
+        this.closing.add(imap);
+        if (imap.state === 'disconnected') return;
+
+        try {
+            imap.end();
+        } catch (err) {
+            imap.destroy();
+        }
+    }
+
+    clearIdleTimer(imap) {
+        const timer = this.idleTimers.get(imap);
+        if (timer) {
+            clearTimeout(timer);
+            this.idleTimers.delete(imap);
+        }
+    }
+
+    /**
+     * Start new connections for waiters when slots free up
+     */
+    serviceWaiters() {
+        while (this.waiters.length > 0 && this.inUse.size + this.pending < this.maxSize) {
+            const waiter = this.waiters.shift();
+            this.connect().then(waiter.resolve, waiter.reject);
+        }
+    }
+
+    recordError(err) {
+        this.stats.lastError = err.message;
+        this.stats.lastErrorAt = Date.now();
+    }
+}
+
+/**
+ * Folder watcher - keeps a dedicated IMAP connection IDLEing on one folder and emits
+ * 'new_messages', 'flags_changed' and 'expunged' events as the server reports changes
+ * node-imap enters IDLE automatically between commands (keepalive), so no polling is needed
+ */
+class FolderWatcher extends EventEmitter {
+    constructor(folder, createConnection, fetchMetadata) {
+        super();
+        this.folder = folder;
+        this.createConnection = createConnection;
+        this.fetchMetadata = fetchMetadata;
+
+        this.imap = null;
+        this.uidNext = null;
+        this.uidValidity = null;
+        this.ready = false;
+        this.stopped = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.queue = Promise.resolve();  // Serializes fetches triggered by server events
+        this.watchingSince = null;
+        this.lastEventAt = null;
+    }
+
+    async start() {
+        this.stopped = false;
+        const imap = await this.createConnection();
+
+        // stop() may have run while connecting (e.g. the folder was deleted or renamed)
+        if (this.stopped) {
+            imap.end();
+            return;
+        }
+        this.imap = imap;
+
+        imap.on('mail', () => this.enqueue(() => this.handleNewMail()));
+        imap.on('update', (seqno, info) => this.enqueue(() => this.handleUpdate(seqno, info)));
+        imap.on('expunge', (seqno) => this.emitChange('expunged', { sequenceNumber: seqno }));
+        imap.on('error', (err) => {
+            console.error(`[Watch] IMAP error on "${this.folder}":`, err.message);
+        });
+        imap.once('close', () => {
+            this.ready = false;
+            this.imap = null;
+            if (!this.stopped) this.scheduleReconnect();
+        });
+
+        const box = await new Promise((resolve, reject) => {
+            imap.openBox(this.folder, true, (err, box) => {
+                if (err) {
+                    // Not fatal here: watchFolder stops the watcher if the first start fails, while
+                    // scheduleReconnect keeps retrying (its .catch schedules the next attempt, not 'close')
+                    imap.removeAllListeners('close');
+                    imap.end();
+                    reject(new Error(`Failed to open folder "${this.folder}": ${err.message}`));
+                    return;
+                }
+                resolve(box);
+            });
+        });
+
+        if (this.stopped) {
+            imap.end();
+            return;
+        }
+
+        // Only mail with a UID at or above this is reported as new. After a reconnect the old
+        // value is kept (unless UIDVALIDITY changed) so mail that arrived while offline is reported.
+        const resumed = this.uidNext !== null && this.uidValidity === box.uidvalidity;
+        if (!resumed) {
+            this.uidNext = box.uidnext || await this.findUidNext(imap);
+        }
+        this.uidValidity = box.uidvalidity;
+        this.ready = true;
+        if (resumed) this.enqueue(() => this.handleNewMail());
+        this.reconnectAttempts = 0;
+        this.watchingSince = this.watchingSince || new Date().toISOString();
+        console.error(`[Watch] Watching "${this.folder}" (UIDNEXT ${this.uidNext})`);
+    }
+
+    stop() {
+        this.stopped = true;
+        this.ready = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.imap) {
+            this.imap.end();
+            this.imap = null;
+        }
+    }
+
+    getStatus() {
+        return {
+            folder: this.folder,
+            connected: this.ready,
+            watchingSince: this.watchingSince,
+            lastEventAt: this.lastEventAt,
+            reconnectAttempts: this.reconnectAttempts
+        };
+    }
+
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch((err) => {
+            console.error(`[Watch] Failed to process change on "${this.folder}":`, err.message);
+        });
+    }
+
+    async handleNewMail() {
+        // 'mail' also fires while the box is being opened; that initial count is not new mail
+        if (!this.ready || !this.imap) return;
+
+        // "N:*" always returns the last message, even if its UID is below N, so filter after fetching
+        const emails = (await this.fetchMetadata(this.imap, `${this.uidNext}:*`))
+            .filter(email => email.uid >= this.uidNext)
+            .sort((a, b) => b.uid - a.uid);
+
+        if (emails.length === 0) return;
+
+        this.uidNext = Math.max(...emails.map(email => email.uid)) + 1;
+        this.emitChange('new_messages', { emails });
+    }
+
+    async handleUpdate(seqno, info) {
+        if (!this.ready || !this.imap || !info?.flags) return;
+
+        // Unsolicited FETCH responses usually carry only FLAGS, so look up the UID
+        const uid = info.uid || await new Promise((resolve, reject) => {
+            let found = null;
+            const fetch = this.imap.seq.fetch(seqno.toString(), {});
+            fetch.on('message', (msg) => {
+                msg.once('attributes', (attrs) => { found = attrs.uid; });
+            });
+            fetch.once('error', reject);
+            fetch.once('end', () => resolve(found));
+        });
+
+        this.emitChange('flags_changed', { uid, sequenceNumber: seqno, flags: info.flags });
+    }
+
+    async findUidNext(imap) {
+        return new Promise((resolve) => {
+            let lastUid = 0;
+            const fetch = imap.seq.fetch('*', {});
+            fetch.on('message', (msg) => {
+                msg.once('attributes', (attrs) => { lastUid = attrs.uid; });
+            });
+            fetch.once('error', () => resolve(1));  // Empty mailbox
+            fetch.once('end', () => resolve(lastUid + 1));
+        });
+    }
+
+    emitChange(event, payload) {
+        this.lastEventAt = new Date().toISOString();
+        this.emit(event, { event, folder: this.folder, timestamp: this.lastEventAt, ...payload });
+    }
+
+    /**
+     * Reconnect with exponential backoff (5s, 10s, 20s ... capped at 5 minutes)
+     */
+    scheduleReconnect() {
+        const delay = Math.min(5000 * 2 ** this.reconnectAttempts, 300000);
+        this.reconnectAttempts++;
+        console.error(`[Watch] Connection to "${this.folder}" lost, reconnecting in ${delay / 1000}s`);
+
+        // A 'close' and a failed start() can both get here; keep a single pending attempt
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.start().catch((err) => {
+                console.error(`[Watch] Reconnect to "${this.folder}" failed:`, err.message);
+                if (!this.stopped) this.scheduleReconnect();
+            });
+        }, delay);
+        this.reconnectTimer.unref();
+    }
+}
+
+/**
+ * Header cache - keeps envelope data, flags and sizes of each folder on disk (one JSON file per
+ * folder) and brings it up to date incrementally: new mail via UIDNEXT, flag changes via
+ * CONDSTORE (CHANGEDSINCE) when the server has it, expunges by comparing message counts.
+ * A changed UIDVALIDITY means the server renumbered the folder, so it is rebuilt from scratch.
+ */
+class HeaderCache {
+    constructor(directory, hasAttachments) {
+        this.directory = directory;
+        this.hasAttachments = hasAttachments;
+        this.folders = new Map();   // Folder -> in-memory state
+        this.syncing = new Map();   // Folder -> running sync (one at a time per folder)
+    }
+
+    /**
+     * Bring a folder up to date on a connection that already has it selected
+     * @returns {Promise<Object>} Folder state with a `messages` Map of UID -> cached entry
+     */
+    async sync(imap, folder, box) {
+        const previous = this.syncing.get(folder) || Promise.resolve();
+        const run = previous.catch(() => {}).then(() => this.runSync(imap, folder, box));
+        this.syncing.set(folder, run);
+
+        try {
+            return await run;
+        } finally {
+            if (this.syncing.get(folder) === run) this.syncing.delete(folder);
+        }
+    }
+
+    async runSync(imap, folder, box) {
+        let state = await this.load(folder);
+        const condstore = imap.serverSupports('CONDSTORE') && !box.nomodseq;
+        const now = new Date().toISOString();
+
+        if (state && String(state.uidValidity) !== String(box.uidvalidity)) {
+            console.error(`[Cache] UIDVALIDITY of "${folder}" changed (${state.uidValidity} -> ${box.uidvalidity}), rebuilding`);
+            state = this.createState(box, state.fullResyncs + 1);
+        } else if (!state) {
+            state = this.createState(box, 0);
+        }
+
+        state.condstore = condstore;
+        const initial = state.messages.size === 0;
+        let changed = false;
+
+        if (box.messages.total === 0) {
+            changed = state.messages.size > 0;
+            state.messages.clear();
+        } else {
+            // New mail: "N:*" always returns the last message, even if its UID is below N
+            const fresh = (await this.fetch(imap, `${state.uidNext}:*`, true))
+                .filter(entry => entry.uid >= state.uidNext);
+            for (const entry of fresh) {
+                state.messages.set(entry.uid, entry);
+                state.uidNext = Math.max(state.uidNext, entry.uid + 1);
+            }
+            changed = changed || fresh.length > 0;
+
+            // Flag changes on mail we already had
+            if (!initial) {
+                const modifiers = condstore && state.highestModseq
+                    ? { changedsince: state.highestModseq }
+                    : undefined;
+                const updates = await this.fetch(imap, '1:*', false, modifiers);
+                for (const update of updates) {
+                    const entry = state.messages.get(update.uid);
+                    if (entry && update.flags.join(' ') !== entry.flags.join(' ')) {
+                        entry.flags = update.flags;
+                        changed = true;
+                    }
+                    this.trackModseq(state, update.modseq);
+                }
+            }
+            for (const entry of fresh) this.trackModseq(state, entry.modseq);
+
+            // Expunged mail: UIDs are never reused, so a count mismatch means something was removed
+            if (state.messages.size !== box.messages.total) {
+                const existing = new Set(await new Promise((resolve, reject) => {
+                    imap.search(['ALL'], (err, uids) => (err ? reject(err) : resolve(uids || [])));
+                }));
+                for (const uid of state.messages.keys()) {
+                    if (!existing.has(uid)) {
+                        state.messages.delete(uid);
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        state.lastSyncAt = now;
+        if (initial) state.lastFullSyncAt = now;
+        if (changed || initial) await this.save(folder, state);
+
+        return state;
+    }
+
+    createState(box, fullResyncs) {
+        return {
+            uidValidity: box.uidvalidity,
+            uidNext: 1,
+            highestModseq: null,
+            condstore: false,
+            lastSyncAt: null,
+            lastFullSyncAt: null,
+            fullResyncs: fullResyncs,
+            messages: new Map()
+        };
+    }
+
+    trackModseq(state, modseq) {
+        if (modseq && (!state.highestModseq || BigInt(modseq) > BigInt(state.highestModseq))) {
+            state.highestModseq = String(modseq);
+        }
+    }
+
+    /**
+     * Fetch cache entries (withHeaders) or just UID/FLAGS/MODSEQ for a UID set
+     */
+    async fetch(imap, source, withHeaders, modifiers) {
+        return new Promise((resolve, reject) => {
+            const fetch = imap.fetch(source, withHeaders
+                ? { bodies: 'HEADER.FIELDS (FROM TO CC SUBJECT DATE MESSAGE-ID)', struct: true, size: true }
+                : { modifiers });
+            const entries = [];
+
+            fetch.on('message', (msg) => {
+                let header = '';
+                let attrs = null;
+
+                msg.on('body', (stream) => {
+                    stream.on('data', (chunk) => {
+                        header += chunk.toString('utf8');
+                    });
+                });
+                msg.once('attributes', (attributes) => {
+                    attrs = attributes;
+                });
+                msg.once('end', () => {
+                    if (!withHeaders) {
+                        entries.push({ uid: attrs.uid, flags: attrs.flags || [], modseq: attrs.modseq });
+                        return;
+                    }
+
+                    const parsed = Imap.parseHeader(header);
+                    entries.push({
+                        uid: attrs.uid,
+                        from: parsed.from?.[0] || 'Unknown',
+                        to: parsed.to?.join(', ') || '',
+                        cc: parsed.cc?.join(', ') || '',
+                        subject: parsed.subject?.[0] || 'No Subject',
+                        date: parsed.date?.[0] || 'Unknown Date',
+                        messageId: parsed['message-id']?.[0] || null,
+                        internalDate: attrs.date ? new Date(attrs.date).toISOString() : null,
+                        size: attrs.size || 0,
+                        flags: attrs.flags || [],
+                        hasAttachments: this.hasAttachments(attrs.struct),
+                        modseq: attrs.modseq
+                    });
+                });
+            });
+
+            fetch.once('error', reject);
+            fetch.once('end', () => resolve(entries));
+        });
+    }
+
+    getFile(folder) {
+        return path.join(this.directory, `${encodeURIComponent(folder)}.json`);
+    }
+
+    async load(folder) {
+        if (this.folders.has(folder)) return this.folders.get(folder);
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.getFile(folder), 'utf8'));
+            const state = {
+                ...data,
+                messages: new Map(data.messages.map(({ modseq, ...entry }) => [entry.uid, entry]))
+            };
+            this.folders.set(folder, state);
+            return state;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`[Cache] Ignoring unreadable cache for "${folder}":`, err.message);
+            }
+            return null;
+        }
+    }
+
+    async save(folder, state) {
+        this.folders.set(folder, state);
+        await fs.mkdir(this.directory, { recursive: true });
+
+        // Write to a temp file and rename so a crash never leaves a half-written cache
+        const file = this.getFile(folder);
+        const { messages, ...meta } = state;
+        const entries = [...messages.values()].map(({ modseq, ...entry }) => entry);
+        await fs.writeFile(`${file}.tmp`, JSON.stringify({ ...meta, messages: entries }));
+        await fs.rename(`${file}.tmp`, file);
+    }
+
+    /**
+     * Drop a folder's cache (after it is deleted or renamed)
+     */
+    async forget(folder) {
+        this.folders.delete(folder);
+        await fs.rm(this.getFile(folder), { force: true });
+    }
+
+    /**
+     * Cached folders, from memory and disk
+     */
+    async listFolders() {
+        const files = await fs.readdir(this.directory).catch(() => []);
+        const names = files
+            .filter(file => file.endsWith('.json'))
+            .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+
+        return [...new Set([...this.folders.keys(), ...names])].sort();
+    }
+
+    async getStatus(folder) {
+        const state = await this.load(folder);
+        if (!state) return { folder, cached: false };
+
+        return {
+            folder: folder,
+            cached: true,
+            messages: state.messages.size,
+            uidValidity: state.uidValidity,
+            uidNext: state.uidNext,
+            highestModseq: state.highestModseq,
+            condstore: state.condstore,
+            lastSyncAt: state.lastSyncAt,
+            lastFullSyncAt: state.lastFullSyncAt,
+            fullResyncs: state.fullResyncs
+        };
+    }
+}
+
+/**
+ * Operation journal - records moves and flag changes so they can be undone later.
+ * Moves keep the destination UIDs reported by COPYUID (UIDPLUS) plus each Message-ID,
+ * because the server gives moved messages new UIDs. Only the newest entries are kept,
+ * in memory and (when a file is given) on disk.
+ */
+class OperationJournal {
+    constructor(file, maxEntries) {
+        this.file = file;
+        this.maxEntries = maxEntries;
+        this.entries = null;
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        if (this.entries) return this.entries;
+
+        this.entries = [];
+        if (this.file) {
+            try {
+                const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+                if (Array.isArray(data)) this.entries = data;
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    console.error(`[Journal] Ignoring unreadable journal "${this.file}":`, err.message);
+                }
+            }
+        }
+        return this.entries;
+    }
+
+    /**
+     * Append an operation and return it with its id
+     */
+    async record(operation) {
+        const entries = await this.load();
+        const entry = {
+            id: crypto.randomBytes(4).toString('hex'),
+            timestamp: new Date().toISOString(),
+            ...operation,
+            undoneAt: null,
+            undoneBy: null
+        };
+
+        entries.push(entry);
+        if (entries.length > this.maxEntries) {
+            entries.splice(0, entries.length - this.maxEntries);
+        }
+        await this.save();
+        return entry;
+    }
+
+    async get(id) {
+        const entries = await this.load();
+        return entries.find(entry => entry.id === id) || null;
+    }
+
+    async update(id, changes) {
+        const entry = await this.get(id);
+        if (!entry) return null;
+
+        Object.assign(entry, changes);
+        await this.save();
+        return entry;
+    }
+
+    /**
+     * Newest entries first
+     */
+    async list(limit) {
+        const entries = await this.load();
+        return entries.slice(-limit).reverse();
+    }
+
+    async save() {
+        if (!this.file) return;
+
+        // Serialize writes; temp file + rename so a crash never leaves a half-written journal
+        const data = JSON.stringify(this.entries);
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.writeFile(`${this.file}.tmp`, data);
+            await fs.rename(`${this.file}.tmp`, this.file);
+        });
+        await this.writing;
+    }
+}
+
+class YahooMailMCPServer {
+    constructor() {
+        this.server = new Server(
+            {
+                name: 'yahoo-mail-mcp',
+                version: '3.0.0',
+            },
+            {
+                capabilities: {
+                    tools: {},
+                    resources: {
+                        subscribe: true,
+                        listChanged: true
+                    },
+                    prompts: {},
+                    logging: {},
+                },
+            }
+        );
+
+        // Store active SSE transports (for routing messages)
+        this.transports = new Map();
+
+        // Store valid OAuth access tokens (in-memory)
+        // In production, use Redis or a database with TTL
+        this.validTokens = new Set();
+
+        // Store authorization codes for OAuth authorization code flow
+        // In production, use Redis with short TTL (60 seconds)
+        this.authCodes = new Map();
+
+        // Configured mailboxes (id -> account), each with its own IMAP pool, watchers and header cache
+        this.accounts = this.loadAccounts();
+        this.defaultAccountId = process.env.DEFAULT_ACCOUNT || this.accounts.keys().next().value;
+        if (!this.accounts.has(this.defaultAccountId)) {
+            throw new Error(`DEFAULT_ACCOUNT "${this.defaultAccountId}" is not a configured account`);
+        }
+
+        // Account of the tool call being handled (see the `account` getter)
+        this.accountContext = new AsyncLocalStorage();
+
+        // Subscribed resource URIs (resources always refer to the default account)
+        this.resourceSubscriptions = new Set();
+
+        // Dry runs hand out tokens signed with this per-process key; REQUIRE_CONFIRMATION makes mutating tools demand one
+        this.confirmationSecret = crypto.randomBytes(32);
+        this.requireConfirmation = process.env.REQUIRE_CONFIRMATION === 'true';
+
+        // expunge_emails/empty_folder (and force-deleting non-empty folders) can be switched off
+        this.allowPermanentDelete = process.env.ALLOW_PERMANENT_DELETE !== 'false';
+
+        this.setupToolHandlers();
+        this.setupResourceHandlers();
+        this.setupPromptHandlers();
+        this.setupErrorHandling();
+    }
+
+    /**
+     * The account of the current tool call, or the default account outside of one
+     */
+    get account() {
+        return this.accountContext.getStore() || this.accounts.get(this.defaultAccountId);
+    }
+
+    // Pooled IMAP sessions of the current account, reused across tool calls
+    get imapPool() {
+        return this.account.imapPool;
+    }
+
+    // Folder -> FolderWatcher for IMAP IDLE change notifications
+    get watchers() {
+        return this.account.watchers;
+    }
+
+    // Folders whose watcher exists only for resource subscriptions
+    get subscriptionWatchers() {
+        return this.account.subscriptionWatchers;
+    }
+
+    // Optional on-disk header cache for list_emails/search_emails (enabled by HEADER_CACHE_DIR)
+    get headerCache() {
+        return this.account.headerCache;
+    }
+
+    // Moves and flag changes, for list_operations/undo_operation
+    get operationJournal() {
+        return this.account.operationJournal;
+    }
+
+    /**
+     * Load the account registry
+     * MAIL_ACCOUNTS (JSON) or MAIL_ACCOUNTS_FILE (path to JSON) list extra mailboxes;
+     * YAHOO_EMAIL/YAHOO_APP_PASSWORD stay the "default" account
+     */
+    loadAccounts() {
+        let configs = [];
+        try {
+            if (process.env.MAIL_ACCOUNTS_FILE) {
+                configs = JSON.parse(readFileSync(process.env.MAIL_ACCOUNTS_FILE, 'utf8'));
+            } else if (process.env.MAIL_ACCOUNTS) {
+                configs = JSON.parse(process.env.MAIL_ACCOUNTS);
+            }
+        } catch (err) {
+            throw new Error(`Invalid account configuration: ${err.message}`);
+        }
+
+        if (!Array.isArray(configs)) {
+            throw new Error('Invalid account configuration: expected a JSON array of accounts');
+        }
+
+        if (process.env.YAHOO_EMAIL || configs.length === 0) {
+            configs.unshift({
+                id: 'default',
+                email: process.env.YAHOO_EMAIL,
+                password: process.env.YAHOO_APP_PASSWORD,
+                watchFolders: (process.env.IMAP_WATCH_FOLDERS ?? 'INBOX').split(','),
+                provider: process.env.IMAP_PROVIDER,
+                auth: process.env.IMAP_AUTH,
+                accessTokenEnv: 'IMAP_ACCESS_TOKEN',
+                imap: {
+                    host: process.env.IMAP_HOST,
+                    port: process.env.IMAP_PORT,
+                    security: process.env.IMAP_SECURITY,
+                    rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED
+                },
+                smtp: {
+                    host: process.env.SMTP_HOST,
+                    port: process.env.SMTP_PORT,
+                    security: process.env.SMTP_SECURITY ||
+                        (process.env.SMTP_SECURE ? (process.env.SMTP_SECURE === 'true' ? 'tls' : 'none') : undefined),
+                    rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED
+                }
+            });
+        }
+
+        const accounts = new Map();
+        for (const config of configs) {
+            if (!config?.id || !/^[A-Za-z0-9_-]+$/.test(config.id)) {
+                throw new Error(`Invalid account configuration: every account needs an id of letters, digits, "-" or "_" (got ${JSON.stringify(config?.id)})`);
+            }
+            if (accounts.has(config.id)) {
+                throw new Error(`Invalid account configuration: duplicate account id "${config.id}"`);
+            }
+            accounts.set(config.id, this.createAccount(config));
+        }
+
+        return accounts;
+    }
+
+    /**
+     * Build an account with its own connection pool, watchers and cache
+     * The password can be given inline or as the name of an environment variable (passwordEnv)
+     */
+    createAccount(config) {
+        const providerId = (config.provider || 'yahoo').toLowerCase();
+        const preset = PROVIDER_PRESETS[providerId];
+        if (!preset) {
+            throw new Error(`Invalid account configuration: unknown provider "${config.provider}" for account "${config.id}". Available: ${Object.keys(PROVIDER_PRESETS).join(', ')}`);
+        }
+
+        const auth = (config.auth || 'password').toLowerCase();
+        if (!['password', 'xoauth2'].includes(auth)) {
+            throw new Error(`Invalid account configuration: auth for account "${config.id}" must be "password" or "xoauth2"`);
+        }
+
+        const account = {
+            id: config.id,
+            name: config.name || config.id,
+            email: config.email,
+            password: config.passwordEnv ? process.env[config.passwordEnv] : config.password,
+            provider: providerId,
+            providerName: preset.name,
+            passwordHelp: preset.passwordHelp,
+            auth: auth,
+            accessToken: config.accessTokenEnv ? process.env[config.accessTokenEnv] : config.accessToken,
+            imap: this.resolveEndpoint(config, 'imap', preset.imap, { 993: 'tls' }, 'starttls'),
+            smtp: this.resolveEndpoint(config, 'smtp', preset.smtp, { 465: 'tls' }, 'none'),
+            watchFolders: (config.watchFolders || []).map(folder => folder.trim()).filter(Boolean),
+            watchers: new Map(),
+            subscriptionWatchers: new Set(),
+            headerCache: null,
+            operationJournal: new OperationJournal(
+                process.env.OPERATION_JOURNAL_DIR ? path.join(process.env.OPERATION_JOURNAL_DIR, `${config.id}.json`) : null,
+                parseInt(process.env.OPERATION_JOURNAL_SIZE || '200', 10)
+            )
+        };
+
+        account.imapPool = new ImapConnectionPool(() => this.createImapConnection(account), {
+            maxSize: parseInt(process.env.IMAP_POOL_SIZE || '3', 10),
+            idleTimeout: parseInt(process.env.IMAP_IDLE_TIMEOUT || '300000', 10)
+        });
+
+        if (process.env.HEADER_CACHE_DIR) {
+            account.headerCache = new HeaderCache(
+                path.join(process.env.HEADER_CACHE_DIR, account.id),
+                (struct) => this.hasAttachments(struct)
+            );
+        }
+
+        return account;
+    }
+
+    /**
+     * Helper: Merge an account's imap/smtp overrides over its provider preset
+     * When only the port is overridden, security follows the port (implicit TLS on 993/465)
+     */
+    resolveEndpoint(config, protocol, preset, implicitTlsPorts, otherPortSecurity) {
+        const overrides = config[protocol] || {};
+        const port = overrides.port ? parseInt(overrides.port, 10) : preset.port;
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error(`Invalid account configuration: ${protocol} port for account "${config.id}" must be between 1 and 65535`);
+        }
+
+        const security = (overrides.security ||
+            (overrides.port ? implicitTlsPorts[port] || otherPortSecurity : preset.security)).toLowerCase();
+        if (!['tls', 'starttls', 'none'].includes(security)) {
+            throw new Error(`Invalid account configuration: ${protocol} security for account "${config.id}" must be "tls", "starttls" or "none"`);
+        }
+
+        return {
+            host: overrides.host || preset.host,
+            port: port,
+            security: security,
+            rejectUnauthorized: String(overrides.rejectUnauthorized ?? 'true') !== 'false'
+        };
+    }
+
+    /**
+     * Helper: Look up the account named in a tool call (default account if omitted)
+     * @throws {Error} If the account is unknown
+     */
+    resolveAccount(id) {
+        if (id === undefined || id === null || id === '') {
+            return this.accounts.get(this.defaultAccountId);
+        }
+
+        const account = this.accounts.get(id);
+        if (!account) {
+            throw new Error(`Unknown account "${id}". Configured accounts: ${[...this.accounts.keys()].join(', ')}`);
+        }
+        return account;
+    }
+
+    /**
+     * Helper: Whether an account has an email plus the secret its auth mechanism needs
+     */
+    hasCredentials(account) {
+        return Boolean(account.email && (account.auth === 'xoauth2' ? account.accessToken : account.password));
+    }
+
+    /**
+     * Helper: Check that an account has credentials before connecting
+     * @throws {Error} If the email, password or access token is missing
+     */
+    checkCredentials(account, tag) {
+        if (this.hasCredentials(account)) return;
+
+        const error = new Error(account.auth === 'xoauth2'
+            ? (account.id === 'default'
+                ? 'YAHOO_EMAIL or IMAP_ACCESS_TOKEN environment variables are not set'
+                : `Account "${account.id}" has no email or access token configured`)
+            : (account.id === 'default'
+                ? 'YAHOO_EMAIL or YAHOO_APP_PASSWORD environment variables are not set'
+                : `Account "${account.id}" has no email or password configured`));
+        console.error(`[${tag}] Configuration error:`, error.message);
+        throw error;
+    }
+
+    /**
+     * Setup MCP tool handlers
+     */
+    setupToolHandlers() {
+        // Search criteria shared by search_emails and its nested or/not groups
+        const searchCriteriaProperties = {
+            sender: {
+                type: 'string',
+                description: 'Filter by specific sender email address or name',
+                default: null
+            },
+            to: { type: 'string', description: 'Match the To header (address or name)' },
+            cc: { type: 'string', description: 'Match the Cc header (address or name)' },
+            bcc: { type: 'string', description: 'Match the Bcc header (only present on sent mail and drafts)' },
+            subject: { type: 'string', description: 'Match the subject only' },
+            body: { type: 'string', description: 'Full-text search in the message body (IMAP BODY)' },
+            text: { type: 'string', description: 'Full-text search in headers and body (IMAP TEXT)' },
+            dateFrom: {
+                type: 'string',
+                description: 'Filter emails from this date onwards (ISO 8601 or RFC 2822 format)',
+                default: null
+            },
+            dateTo: {
+                type: 'string',
+                description: 'Filter emails up to this date (ISO 8601 or RFC 2822 format)',
+                default: null
+            },
+            unreadOnly: {
+                type: 'boolean',
+                description: 'Only return unread emails (default: false)',
+                default: false
+            },
+            seen: { type: 'boolean', description: 'true = only read emails, false = only unread emails' },
+            flagged: { type: 'boolean', description: 'true = only starred/flagged emails, false = only unflagged' },
+            answered: { type: 'boolean', description: 'true = only emails you replied to, false = only unanswered' },
+            draft: { type: 'boolean', description: 'true = only drafts, false = exclude drafts' },
+            larger: { type: 'number', description: 'Only emails larger than this many bytes (e.g. 1048576 for 1MB)' },
+            smaller: { type: 'number', description: 'Only emails smaller than this many bytes' },
+            keywords: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Only emails carrying all of these IMAP keywords (e.g. ["$Todo"])'
+            },
+            excludeKeywords: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Only emails carrying none of these IMAP keywords'
+            }
+        };
+        const searchFilterGroup = {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Search term for subject or sender' },
+                ...searchCriteriaProperties,
+                and: { type: 'array', items: { type: 'object' }, description: 'Nested filter groups, all of which must match' },
+                or: { type: 'array', items: { type: 'object' }, description: 'Nested filter groups, any of which must match' },
+                not: { type: 'object', description: 'Nested filter group that must not match' }
+            }
+        };
+
+        const dryRunProperties = {
+            dryRun: {
+                type: 'boolean',
+                description: 'Only report which emails would change (with subject/from/date) without touching the mailbox. Returns a confirmationToken for the real call (default: false)',
+                default: false
+            },
+            confirmationToken: {
+                type: 'string',
+                description: 'Token from a dry run of the same call; required when the server sets REQUIRE_CONFIRMATION'
+            }
+        };
+
+        // search_emails criteria for the *_matching bulk tools
+        const matchingProperties = {
+            query: {
+                type: 'string',
+                description: 'Search term for subject or sender, or Gmail-style operators as in search_emails (e.g. "from:deals@shop.com older_than:30d")'
+            },
+            ...searchCriteriaProperties,
+            hasAttachment: {
+                type: 'boolean',
+                description: 'true = only emails with attachments, false = only emails without'
+            },
+            and: { type: 'array', items: searchFilterGroup, description: 'Filter groups that must all match (as in search_emails)' },
+            or: { type: 'array', items: searchFilterGroup, description: 'Filter groups of which any must match (as in search_emails)' },
+            not: { ...searchFilterGroup, description: 'Filter group that must not match (as in search_emails)' },
+            folder: {
+                type: 'string',
+                description: 'Folder to search in (default: INBOX). Or use in:Folder in query, not both'
+            },
+            limit: {
+                type: 'number',
+                description: 'Only process the newest N matches (default: all)'
+            },
+            ...dryRunProperties
+        };
+
+        // Handle tool listing
+        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+            return {
+                tools: [
+                    {
+                        name: 'list_emails',
+                        description: 'List recent emails from a Yahoo Mail folder. Returns UIDs (permanent identifiers) and enriched metadata including size, flags, and attachment status.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                count: {
+                                    type: 'number',
+                                    description: 'Number of emails to retrieve (default: 10, max: 50)',
+                                    default: 10
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder to list emails from (default: INBOX). Use list_folders to see available folders.',
+                                    default: 'INBOX'
+                                },
+                                offset: {
+                                    type: 'number',
+                                    description: 'Number of emails to skip (for pagination, default: 0). Prefer cursor, which does not shift when mail is deleted.',
+                                    default: 0
+                                },
+                                cursor: {
+                                    type: 'string',
+                                    description: 'Opaque nextCursor from a previous list_emails call on the same folder, to fetch the next (older) page'
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'read_email',
+                        description: 'Read email content using UIDs (permanent identifiers). UIDs don\'t change when emails are deleted. Get UIDs from list_emails or search_emails.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to read. UIDs are permanent identifiers from list_emails.',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing the emails (default: INBOX)',
+                                    default: 'INBOX'
+                                }
+                            },
+                            required: ['uids']
+                        }
+                    },
+                    {
+                        name: 'send_email',
+                        description: 'Send an email through the account SMTP server. Supports to/cc/bcc, plain text and HTML bodies, and attachments. A copy is saved to the Sent folder.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                to: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Recipient addresses (e.g., ["alice@example.com", "Bob <bob@example.com>"])',
+                                    minItems: 1
+                                },
+                                cc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'CC recipient addresses'
+                                },
+                                bcc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'BCC recipient addresses (not visible to other recipients)'
+                                },
+                                subject: {
+                                    type: 'string',
+                                    description: 'Email subject'
+                                },
+                                text: {
+                                    type: 'string',
+                                    description: 'Plain text body'
+                                },
+                                html: {
+                                    type: 'string',
+                                    description: 'HTML body (sent alongside the plain text body if both are given)'
+                                },
+                                attachments: {
+                                    type: 'array',
+                                    description: 'Files to attach, with content encoded as base64',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            filename: { type: 'string', description: 'File name shown to the recipient' },
+                                            content: { type: 'string', description: 'Base64-encoded file content' },
+                                            contentType: { type: 'string', description: 'MIME type (e.g., "application/pdf"). Detected from filename if omitted.' }
+                                        },
+                                        required: ['filename', 'content']
+                                    }
+                                },
+                                saveToSent: {
+                                    type: 'boolean',
+                                    description: 'Save a copy to the Sent folder (default: true)',
+                                    default: true
+                                }
+                            },
+                            required: ['to', 'subject']
+                        }
+                    },
+                    {
+                        name: 'reply_to_email',
+                        description: 'Reply to an email by UID. Sets In-Reply-To/References and a "Re:" subject so the reply stays in the same thread. Get UIDs from list_emails or search_emails.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uid: {
+                                    type: 'number',
+                                    description: 'UID of the email to reply to'
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing the email (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                text: {
+                                    type: 'string',
+                                    description: 'Plain text reply body'
+                                },
+                                html: {
+                                    type: 'string',
+                                    description: 'HTML reply body'
+                                },
+                                replyAll: {
+                                    type: 'boolean',
+                                    description: 'Reply to the sender and all original To/Cc recipients (default: false)',
+                                    default: false
+                                },
+                                cc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Additional CC recipient addresses'
+                                },
+                                bcc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'BCC recipient addresses'
+                                },
+                                quoteOriginal: {
+                                    type: 'boolean',
+                                    description: 'Quote the original message below the reply (default: true)',
+                                    default: true
+                                },
+                                includeAttachments: {
+                                    type: 'boolean',
+                                    description: 'Carry the original attachments forward (default: false)',
+                                    default: false
+                                },
+                                saveToSent: {
+                                    type: 'boolean',
+                                    description: 'Save a copy to the Sent folder (default: true)',
+                                    default: true
+                                }
+                            },
+                            required: ['uid']
+                        }
+                    },
+                    {
+                        name: 'forward_email',
+                        description: 'Forward an email by UID. Sets a "Fwd:" subject and References header, and includes the original inline or as an attached message.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uid: {
+                                    type: 'number',
+                                    description: 'UID of the email to forward'
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing the email (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                to: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Recipient addresses',
+                                    minItems: 1
+                                },
+                                cc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'CC recipient addresses'
+                                },
+                                bcc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'BCC recipient addresses'
+                                },
+                                text: {
+                                    type: 'string',
+                                    description: 'Plain text note to include above the forwarded message'
+                                },
+                                html: {
+                                    type: 'string',
+                                    description: 'HTML note to include above the forwarded message'
+                                },
+                                forwardAs: {
+                                    type: 'string',
+                                    enum: ['inline', 'attachment'],
+                                    description: 'Include the original inline (quoted) or as an attached .eml message (default: inline)',
+                                    default: 'inline'
+                                },
+                                includeAttachments: {
+                                    type: 'boolean',
+                                    description: 'Carry the original attachments forward when forwarding inline (default: true)',
+                                    default: true
+                                },
+                                saveToSent: {
+                                    type: 'boolean',
+                                    description: 'Save a copy to the Sent folder (default: true)',
+                                    default: true
+                                }
+                            },
+                            required: ['uid', 'to']
+                        }
+                    },
+                    {
+                        name: 'create_draft',
+                        description: 'Save a new draft to the Drafts folder so it can be reviewed and sent from the Yahoo Mail UI. Returns the draft UID.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                to: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Recipient addresses'
+                                },
+                                cc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'CC recipient addresses'
+                                },
+                                bcc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'BCC recipient addresses'
+                                },
+                                subject: {
+                                    type: 'string',
+                                    description: 'Email subject'
+                                },
+                                text: {
+                                    type: 'string',
+                                    description: 'Plain text body'
+                                },
+                                html: {
+                                    type: 'string',
+                                    description: 'HTML body'
+                                },
+                                attachments: {
+                                    type: 'array',
+                                    description: 'Files to attach, with content encoded as base64',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            filename: { type: 'string', description: 'File name shown to the recipient' },
+                                            content: { type: 'string', description: 'Base64-encoded file content' },
+                                            contentType: { type: 'string', description: 'MIME type (e.g., "application/pdf"). Detected from filename if omitted.' }
+                                        },
+                                        required: ['filename', 'content']
+                                    }
+                                }
+                            },
+                            required: []
+                        }
+                    },
+                    {
+                        name: 'update_draft',
+                        description: 'Replace an existing draft. Fields that are not given keep their current values. The old draft is removed and the new UID is returned (draft UIDs change on every update).',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uid: {
+                                    type: 'number',
+                                    description: 'UID of the draft to update (from list_drafts or create_draft)'
+                                },
+                                to: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Recipient addresses'
+                                },
+                                cc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'CC recipient addresses'
+                                },
+                                bcc: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'BCC recipient addresses'
+                                },
+                                subject: {
+                                    type: 'string',
+                                    description: 'Email subject'
+                                },
+                                text: {
+                                    type: 'string',
+                                    description: 'Plain text body'
+                                },
+                                html: {
+                                    type: 'string',
+                                    description: 'HTML body'
+                                },
+                                attachments: {
+                                    type: 'array',
+                                    description: 'Replacement attachments (base64). Omit to keep the current attachments.',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            filename: { type: 'string', description: 'File name shown to the recipient' },
+                                            content: { type: 'string', description: 'Base64-encoded file content' },
+                                            contentType: { type: 'string', description: 'MIME type (e.g., "application/pdf"). Detected from filename if omitted.' }
+                                        },
+                                        required: ['filename', 'content']
+                                    }
+                                }
+                            },
+                            required: ['uid']
+                        }
+                    },
+                    {
+                        name: 'list_drafts',
+                        description: 'List drafts in the Drafts folder with UIDs and metadata',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                count: {
+                                    type: 'number',
+                                    description: 'Number of drafts to retrieve (default: 10, max: 50)',
+                                    default: 10
+                                },
+                                offset: {
+                                    type: 'number',
+                                    description: 'Number of drafts to skip (for pagination, default: 0)',
+                                    default: 0
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'delete_draft',
+                        description: 'Permanently delete drafts from the Drafts folder using UIDs',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of draft UIDs to delete',
+                                    minItems: 1
+                                }
+                            },
+                            required: ['uids']
+                        }
+                    },
+                    {
+                        name: 'list_attachments',
+                        description: 'List the attachments of an email by UID. Returns part IDs to use with get_attachment, plus filename, MIME type, size and content-id.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uid: {
+                                    type: 'number',
+                                    description: 'UID of the email'
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing the email (default: INBOX)',
+                                    default: 'INBOX'
+                                }
+                            },
+                            required: ['uid']
+                        }
+                    },
+                    {
+                        name: 'get_attachment',
+                        description: 'Download a single attachment by UID and part ID (from list_attachments). Only that body part is fetched. Returns the file as embedded base64 content, or saves it to the server download directory.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uid: {
+                                    type: 'number',
+                                    description: 'UID of the email'
+                                },
+                                partId: {
+                                    type: 'string',
+                                    description: 'Part ID of the attachment (e.g., "2" or "1.2") from list_attachments'
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing the email (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                saveToDisk: {
+                                    type: 'boolean',
+                                    description: 'Save to the download directory and return the file path instead of embedding the content (default: false)',
+                                    default: false
+                                }
+                            },
+                            required: ['uid', 'partId']
+                        }
+                    },
+                    {
+                        name: 'watch_folder',
+                        description: 'Start real-time notifications for a folder. The server keeps an IMAP IDLE session on it and pushes a notification (same email metadata as list_emails) when mail arrives, flags change, or messages are removed.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder to watch (default: INBOX)',
+                                    default: 'INBOX'
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'unwatch_folder',
+                        description: 'Stop real-time notifications for a folder',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder to stop watching'
+                                }
+                            },
+                            required: ['folder']
+                        }
+                    },
+                    {
+                        name: 'get_thread',
+                        description: 'Get the whole conversation an email belongs to, in chronological order. Follows Message-ID, In-Reply-To and References headers across the source folder, INBOX, Sent and Archive.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uid: {
+                                    type: 'number',
+                                    description: 'UID of any email in the conversation'
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing the email (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                useServerThreading: {
+                                    type: 'boolean',
+                                    description: 'Also use the IMAP THREAD=REFERENCES extension in the source folder when the server offers it (slower on large folders, default: false)',
+                                    default: false
+                                },
+                                maxMessages: {
+                                    type: 'number',
+                                    description: 'Maximum number of messages to return (default: 50)',
+                                    default: 50
+                                }
+                            },
+                            required: ['uid']
+                        }
+                    },
+                    {
+                        name: 'search_emails',
+                        description: 'Search emails using UIDs with advanced filters. All criteria are ANDed; use "and", "or" and "not" groups for boolean composition (e.g. from boss OR hr, NOT read). The query also accepts Gmail-style operators such as from:alice subject:"q3 report" is:unread has:attachment larger:2M after:2026-01-01 in:Archive. Returns UIDs which are permanent identifiers that don\'t change when emails are deleted. Get UIDs from results for subsequent operations.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                query: {
+                                    type: 'string',
+                                    description: 'Search term for subject or sender (can be empty for date-only searches). Gmail-style operators are also accepted: from: to: cc: bcc: subject: body: text: is:unread|read|starred|answered|draft has:attachment larger:/smaller: (e.g. 2M, 500K) after:/before: (YYYY-MM-DD) older_than:/newer_than: (e.g. 7d, 2w, 1y) label: in:Folder. Quote values with spaces, prefix "-" to negate, and put OR between alternatives.',
+                                    default: ''
+                                },
+                                count: {
+                                    type: 'number',
+                                    description: 'Number of results to return (default: 10, max: 50)',
+                                    default: 10
+                                },
+                                cursor: {
+                                    type: 'string',
+                                    description: 'Opaque nextCursor from a previous search_emails call with the same query, filters and folder, to fetch the next (older) page'
+                                },
+                                ...searchCriteriaProperties,
+                                hasAttachment: {
+                                    type: 'boolean',
+                                    description: 'true = only emails with attachments, false = only emails without (checked via BODYSTRUCTURE; top level only)'
+                                },
+                                and: {
+                                    type: 'array',
+                                    description: 'Match only if ALL of these filter groups match. Useful for repeating a criterion (e.g. two different subject words).',
+                                    items: searchFilterGroup
+                                },
+                                or: {
+                                    type: 'array',
+                                    description: 'Match if ANY of these filter groups matches (ANDed with the other criteria). Each group accepts the same criteria as this tool (except hasAttachment/count/folder), including nested "and"/"or"/"not".',
+                                    items: searchFilterGroup
+                                },
+                                not: {
+                                    ...searchFilterGroup,
+                                    description: 'Exclude emails matching this filter group (same criteria as this tool, except hasAttachment/count/folder)'
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder to search in (default: INBOX). Use list_folders to see available folders. Or use in:Folder in query, not both'
+                                }
+                            },
+                            required: []
+                        }
+                    },
+                    {
+                        name: 'delete_emails',
+                        description: 'Move emails to Trash folder using UIDs (soft delete, recoverable). UIDs are permanent identifiers.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to delete',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Source folder (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                ...dryRunProperties
+                            },
+                            required: ['uids']
+                        }
+                    },
+                    {
+                        name: 'archive_emails',
+                        description: 'Move emails to Archive folder using UIDs for long-term storage. UIDs are permanent identifiers.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to archive',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Source folder (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                ...dryRunProperties
+                            },
+                            required: ['uids']
+                        }
+                    },
+                    {
+                        name: 'mark_as_read',
+                        description: 'Mark emails as read using UIDs. UIDs are permanent identifiers.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to mark as read',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing emails (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                ...dryRunProperties
+                            },
+                            required: ['uids']
+                        }
+                    },
+                    {
+                        name: 'mark_as_unread',
+                        description: 'Mark emails as unread using UIDs. UIDs are permanent identifiers.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to mark as unread',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing emails (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                ...dryRunProperties
+                            },
+                            required: ['uids']
+                        }
+                    },
+                    {
+                        name: 'flag_emails',
+                        description: 'Flag emails as important/starred using UIDs. UIDs are permanent identifiers.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to flag',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing emails (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                ...dryRunProperties
+                            },
+                            required: ['uids']
+                        }
+                    },
+                    {
+                        name: 'unflag_emails',
+                        description: 'Remove flag/star from emails using UIDs. UIDs are permanent identifiers.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to unflag',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing emails (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                ...dryRunProperties
+                            },
+                            required: ['uids']
+                        }
+                    },
+                    {
+                        name: 'add_labels',
+                        description: 'Add custom labels (IMAP keywords such as $Todo, $Waiting, ProjectX) to emails using UIDs. An email can carry any number of labels; they appear in the flags array of list_emails and can be searched with label:NAME or keywords. Use list_labels to see which labels a folder supports.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to label',
+                                    minItems: 1
+                                },
+                                labels: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Label names (IMAP keywords), e.g. ["$Todo", "ProjectX"]. No spaces or backslashes',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing emails (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                ...dryRunProperties
+                            },
+                            required: ['uids', 'labels']
+                        }
+                    },
+                    {
+                        name: 'remove_labels',
+                        description: 'Remove custom labels (IMAP keywords) from emails using UIDs.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to remove the labels from',
+                                    minItems: 1
+                                },
+                                labels: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Label names (IMAP keywords), e.g. ["$Todo", "ProjectX"]. No spaces or backslashes',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing emails (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                ...dryRunProperties
+                            },
+                            required: ['uids', 'labels']
+                        }
+                    },
+                    {
+                        name: 'list_labels',
+                        description: 'List the custom labels (IMAP keywords) of a folder or of every folder, from the FLAGS and PERMANENTFLAGS the server reports, and whether new labels can be created there.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Only this folder (default: all folders)'
+                                },
+                                counts: {
+                                    type: 'boolean',
+                                    description: 'Also count the emails carrying each label (one search per label, default: false)',
+                                    default: false
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'move_emails',
+                        description: 'Move emails to a specified folder using UIDs. UIDs are permanent identifiers. Use list_folders to see available folders.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to move',
+                                    minItems: 1
+                                },
+                                folderName: {
+                                    type: 'string',
+                                    description: 'Name of the destination folder (e.g., "Work", "Personal"). Use list_folders to see available folders.'
+                                },
+                                sourceFolder: {
+                                    type: 'string',
+                                    description: 'Source folder containing the emails (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                ...dryRunProperties
+                            },
+                            required: ['uids', 'folderName']
+                        }
+                    },
+                    {
+                        name: 'list_folders',
+                        description: 'List all available IMAP folders/mailboxes in the mail account, with message, unread and recent counts, UIDNEXT and UIDVALIDITY of each (IMAP STATUS, without opening the folders)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                includeStatus: {
+                                    type: 'boolean',
+                                    description: 'Include the STATUS counts of each folder (one command per folder, default: true)',
+                                    default: true
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'get_quota',
+                        description: 'Show mailbox storage used vs. the limit (IMAP GETQUOTAROOT), and the message count limit if the server has one.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder whose quota roots to report (default: INBOX)',
+                                    default: 'INBOX'
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'create_folder',
+                        description: 'Create a folder. Nested paths like "Projects/Acme/Invoices" create any missing parent folders.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder path, using "/" (or the server\'s hierarchy delimiter) between levels'
+                                },
+                                subscribe: {
+                                    type: 'boolean',
+                                    description: 'Subscribe to the new folders so they show up in mail clients (default: true)',
+                                    default: true
+                                }
+                            },
+                            required: ['folder']
+                        }
+                    },
+                    {
+                        name: 'rename_folder',
+                        description: 'Rename or move a folder (child folders move with it). INBOX cannot be renamed.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Current folder path'
+                                },
+                                newName: {
+                                    type: 'string',
+                                    description: 'New full folder path (e.g. "Archive/2025/Projects")'
+                                }
+                            },
+                            required: ['folder', 'newName']
+                        }
+                    },
+                    {
+                        name: 'delete_folder',
+                        description: 'Delete a folder. Refuses INBOX, special folders (Sent, Trash, ...), folders with child folders, and non-empty folders unless force is true. With force on a non-empty folder the first call only returns a confirmationToken; repeat the call with it to delete the folder and its emails.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder path to delete'
+                                },
+                                force: {
+                                    type: 'boolean',
+                                    description: 'Delete even if the folder still contains emails - they are permanently lost (default: false)',
+                                    default: false
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Only report what would be deleted (default: false)',
+                                    default: false
+                                },
+                                confirmationToken: {
+                                    type: 'string',
+                                    description: 'Token from the first force call for the same folder; required to delete a non-empty folder'
+                                }
+                            },
+                            required: ['folder']
+                        }
+                    },
+                    {
+                        name: 'subscribe_folder',
+                        description: 'Subscribe to a folder so it is shown in mail clients that only list subscribed folders',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder path'
+                                }
+                            },
+                            required: ['folder']
+                        }
+                    },
+                    {
+                        name: 'unsubscribe_folder',
+                        description: 'Unsubscribe from a folder (the folder and its emails are kept)',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder path'
+                                }
+                            },
+                            required: ['folder']
+                        }
+                    },
+                    {
+                        name: 'sync_status',
+                        description: 'Show the state of the local header cache (messages cached, UIDVALIDITY, UIDNEXT, MODSEQ, last sync) and optionally sync a folder now. The cache is enabled with HEADER_CACHE_DIR and serves list_emails/search_emails locally.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder to report on (default: all cached folders)'
+                                },
+                                sync: {
+                                    type: 'boolean',
+                                    description: 'Sync the folder with the server before reporting (requires folder, default: false)',
+                                    default: false
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'list_accounts',
+                        description: 'List the configured mailboxes. Pass an account id as the "account" argument of any other tool to use that mailbox (the default account is used otherwise).',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {}
+                        }
+                    },
+                    {
+                        name: 'apply_rules',
+                        description: 'Apply mail rules from the rules file (MAIL_RULES_FILE, JSON or YAML) to a folder or to a search result set. Each rule matches with search_emails criteria and runs actions: moveTo, archive, delete, markRead, markUnread, flag, unflag, addKeywords, removeKeywords. Use dryRun to preview the matches without changing anything; the report lists what each rule matched and did.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Apply every rule to this folder (default: each rule\'s own folder, or INBOX)'
+                                },
+                                ruleNames: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Only apply these rules, in file order (default: all enabled rules)'
+                                },
+                                rules: {
+                                    type: 'array',
+                                    items: { type: 'object' },
+                                    description: 'Rules to use instead of the rules file, same format: { name, folder?, match: {search_emails criteria}, actions: {...}, stop? }'
+                                },
+                                search: {
+                                    ...searchFilterGroup,
+                                    description: 'Only consider messages that also match these search_emails criteria'
+                                },
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Only consider these UIDs'
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Report matches and planned actions without changing the mailbox. Returns a confirmationToken for the real call (default: false)',
+                                    default: false
+                                },
+                                confirmationToken: dryRunProperties.confirmationToken
+                            }
+                        }
+                    },
+                    {
+                        name: 'archive_matching',
+                        description: 'Archive every email matching search_emails-style criteria in one go. Runs as chunked UID MOVE commands (hundreds of emails per command) and reports per-chunk results. At least one criterion is required; use dryRun to preview.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: matchingProperties
+                        }
+                    },
+                    {
+                        name: 'delete_matching',
+                        description: 'Move every email matching search_emails-style criteria to Trash (soft delete) in chunked UID MOVE commands, with per-chunk results. At least one criterion is required; use dryRun to preview.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: matchingProperties
+                        }
+                    },
+                    {
+                        name: 'move_matching',
+                        description: 'Move every email matching search_emails-style criteria to another folder in chunked UID MOVE commands, with per-chunk results. At least one criterion is required; use dryRun to preview.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folderName: {
+                                    type: 'string',
+                                    description: 'Destination folder. Use list_folders to see available folders.'
+                                },
+                                ...matchingProperties
+                            },
+                            required: ['folderName']
+                        }
+                    },
+                    {
+                        name: 'mark_matching_read',
+                        description: 'Mark every email matching search_emails-style criteria as read in chunked UID STORE commands, with per-chunk results. At least one criterion is required; use dryRun to preview.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: matchingProperties
+                        }
+                    },
+                    {
+                        name: 'expunge_emails',
+                        description: 'PERMANENTLY delete emails by UID (\\Deleted + UID EXPUNGE), e.g. to free quota. Cannot be undone. Two steps: the first call only lists the emails and returns a confirmationToken; repeat the call with that token to delete.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                uids: {
+                                    type: 'array',
+                                    items: { type: 'number' },
+                                    description: 'Array of UIDs to permanently delete',
+                                    minItems: 1
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing the emails (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Only list the emails and return a confirmationToken (also the behaviour without a token)',
+                                    default: false
+                                },
+                                confirmationToken: {
+                                    type: 'string',
+                                    description: 'Token from the first call with the same uids and folder; required to delete'
+                                }
+                            },
+                            required: ['uids']
+                        }
+                    },
+                    {
+                        name: 'empty_folder',
+                        description: 'PERMANENTLY delete every email in the Trash or spam (Bulk) folder to reclaim space. Cannot be undone. Two steps: the first call reports the count and size and returns a confirmationToken; repeat the call with that token to empty the folder.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Trash or spam folder to empty, e.g. "Trash" or "Bulk" (default: Trash)',
+                                    default: 'Trash'
+                                },
+                                dryRun: {
+                                    type: 'boolean',
+                                    description: 'Only report what would be deleted and return a confirmationToken (also the behaviour without a token)',
+                                    default: false
+                                },
+                                confirmationToken: {
+                                    type: 'string',
+                                    description: 'Token from the first call for the same folder; required to delete'
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'list_subscriptions',
+                        description: 'Find newsletters and mailing lists in a folder from their List-Unsubscribe/List-Id headers, grouped by sender with email count, unread count, last-seen date and how to unsubscribe. Use unsubscribe to act on one.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder to scan (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                limit: {
+                                    type: 'number',
+                                    description: 'Number of senders to return, most emails first (default: 50)',
+                                    default: 50
+                                },
+                                scanLimit: {
+                                    type: 'number',
+                                    description: 'Only read the newest N emails that have a List-Unsubscribe header (default: 2000)',
+                                    default: 2000
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'unsubscribe',
+                        description: 'Unsubscribe from a mailing list using the List-Unsubscribe header of the sender\'s newest email: an RFC 8058 one-click POST when offered, otherwise an unsubscribe email to the list\'s mailto address. Lists that only offer a web page return the link for a human. Optionally archive or delete the sender\'s backlog afterwards. Use dryRun to see which method would be used.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                sender: {
+                                    type: 'string',
+                                    description: 'Sender address as returned by list_subscriptions'
+                                },
+                                uid: {
+                                    type: 'number',
+                                    description: 'Use the List-Unsubscribe header of this email instead of the sender\'s newest'
+                                },
+                                folder: {
+                                    type: 'string',
+                                    description: 'Folder containing the sender\'s emails (default: INBOX)',
+                                    default: 'INBOX'
+                                },
+                                then: {
+                                    type: 'string',
+                                    enum: ['none', 'archive', 'delete'],
+                                    description: 'Afterwards archive or delete (move to Trash) every email from the sender in the folder (default: none)',
+                                    default: 'none'
+                                },
+                                ...dryRunProperties
+                            }
+                        }
+                    },
+                    {
+                        name: 'mailbox_stats',
+                        description: 'Mailbox analytics for a folder or all folders: top senders and sender domains by count and by size, email volume per day and week, unread ratio, largest emails and the share of emails with attachments. Works on tens of thousands of emails (served from the header cache when enabled).',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                folder: {
+                                    type: 'string',
+                                    description: 'Only this folder (default: all folders)'
+                                },
+                                since: {
+                                    type: 'string',
+                                    description: 'Only count emails received since this date (YYYY-MM-DD) or age (e.g. "90d", "6m")'
+                                },
+                                top: {
+                                    type: 'number',
+                                    description: 'Length of the top sender/domain and largest email lists (default: 10)',
+                                    default: 10
+                                },
+                                days: {
+                                    type: 'number',
+                                    description: 'Number of days in the daily volume (default: 30)',
+                                    default: 30
+                                },
+                                weeks: {
+                                    type: 'number',
+                                    description: 'Number of weeks in the weekly volume (default: 12)',
+                                    default: 12
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'list_operations',
+                        description: 'List recent moves, deletes, archives and flag changes from the operation journal, newest first, with the UIDs each one touched and the new UIDs of moved messages. Use undo_operation to reverse one.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                limit: {
+                                    type: 'number',
+                                    description: 'Number of operations to return (default: 20)',
+                                    default: 20
+                                }
+                            }
+                        }
+                    },
+                    {
+                        name: 'undo_operation',
+                        description: 'Reverse a journaled operation: moved, archived or deleted emails are moved back to their original folder, and flag changes are inverted on the emails they actually changed. The undo is journaled as well.',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                id: {
+                                    type: 'string',
+                                    description: 'Operation id from list_operations (also included in the result of each mutating tool)'
+                                }
+                            },
+                            required: ['id']
+                        }
+                    }
+                ]
+                    .filter(tool => this.isToolEnabled(tool.name))
+                    .map(tool => this.addAccountArgument(tool))
+            };
+        });
+
+        // Handle tool execution
+        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const { name, arguments: args } = request.params;
+            let account;
+
+            try {
+                account = this.resolveAccount(args?.account);
+                return await this.accountContext.run(account, () => this.callTool(name, args));
+            } catch (error) {
+                // With several mailboxes, say which one failed
+                const prefix = account && this.accounts.size > 1 ? `[${account.id}] ` : '';
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: ${prefix}${error.message}`
+                        }
+                    ]
+                };
+            }
+        });
+    }
+
+    /**
+     * Helper: Add the optional `account` argument to a tool schema
+     */
+    addAccountArgument(tool) {
+        if (tool.name === 'list_accounts') return tool;
+
+        return {
+            ...tool,
+            inputSchema: {
+                ...tool.inputSchema,
+                properties: {
+                    ...tool.inputSchema.properties,
+                    account: {
+                        type: 'string',
+                        description: `Account id from list_accounts (default: "${this.defaultAccountId}")`
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * List configured accounts with their connection state (never the credentials)
+     */
+    async listAccounts() {
+        const accounts = [...this.accounts.values()].map(account => ({
+            id: account.id,
+            name: account.name,
+            email: account.email || null,
+            default: account.id === this.defaultAccountId,
+            configured: this.hasCredentials(account),
+            provider: account.provider,
+            auth: account.auth,
+            imapServer: `${account.imap.host}:${account.imap.port} (${account.imap.security})`,
+            smtpServer: `${account.smtp.host}:${account.smtp.port} (${account.smtp.security})`,
+            imap: account.imapPool.getStats(),
+            watchedFolders: [...account.watchers.keys()],
+            watchers: [...account.watchers.values()].map(watcher => watcher.getStatus()),
+            headerCache: Boolean(account.headerCache)
+        }));
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    accounts: accounts,
+                    count: accounts.length,
+                    defaultAccount: this.defaultAccountId
+                }, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Dispatch a tool call (runs inside the caller's account context)
+     */
+    async callTool(name, args) {
+        switch (name) {
+            case 'list_emails':
+                return await this.listEmails(args?.count || 10, args?.folder || 'INBOX', args?.offset || 0, args?.cursor || null);
+
+            case 'read_email':
+                return await this.readEmail(args.uids, args.folder);
+
+            case 'send_email':
+                return await this.sendEmail(args);
+
+            case 'reply_to_email':
+                return await this.replyToEmail(args);
+
+            case 'forward_email':
+                return await this.forwardEmail(args);
+
+            case 'create_draft':
+                return await this.createDraft(args);
+
+            case 'update_draft':
+                return await this.updateDraft(args);
+
+            case 'list_drafts':
+                return await this.listDrafts(args?.count || 10, args?.offset || 0);
+
+            case 'delete_draft':
+                return await this.deleteDrafts(args.uids);
+
+            case 'list_attachments':
+                return await this.listAttachments(args.uid, args.folder);
+
+            case 'get_attachment':
+                return await this.getAttachment(args.uid, args.partId, args.folder, args.saveToDisk);
+
+            case 'watch_folder':
+                return await this.watchFolder(args?.folder || 'INBOX');
+
+            case 'unwatch_folder':
+                return await this.unwatchFolder(args.folder);
+
+            case 'get_thread':
+                return await this.getThread(args.uid, args.folder, {
+                    useServerThreading: args.useServerThreading || false,
+                    maxMessages: args.maxMessages || 50
+                });
+
+            case 'search_emails':
+                return await this.searchEmails(args?.query || '', {
+                    ...args,
+                    count: args?.count || 10
+                });
+
+            case 'delete_emails':
+                return await this.deleteEmails(args.uids, args.folder, this.mutationOptions(args));
+
+            case 'archive_emails':
+                return await this.archiveEmails(args.uids, args.folder, this.mutationOptions(args));
+
+            case 'mark_as_read':
+                return await this.markAsRead(args.uids, args.folder, this.mutationOptions(args));
+
+            case 'mark_as_unread':
+                return await this.markAsUnread(args.uids, args.folder, this.mutationOptions(args));
+
+            case 'flag_emails':
+                return await this.flagEmails(args.uids, args.folder, this.mutationOptions(args));
+
+            case 'unflag_emails':
+                return await this.unflagEmails(args.uids, args.folder, this.mutationOptions(args));
+
+            case 'add_labels':
+                return await this.addLabels(args.uids, args.labels, args.folder, this.mutationOptions(args));
+
+            case 'remove_labels':
+                return await this.removeLabels(args.uids, args.labels, args.folder, this.mutationOptions(args));
+
+            case 'list_labels':
+                return await this.listLabels(args?.folder || null, args?.counts || false);
+
+            case 'move_emails':
+                return await this.moveEmails(args.uids, args.folderName, args.sourceFolder, this.mutationOptions(args));
+
+            case 'list_folders':
+                return await this.listFolders(args?.includeStatus !== false);
+
+            case 'get_quota':
+                return await this.getQuota(args?.folder || 'INBOX');
+
+            case 'create_folder':
+                return await this.createFolder(args.folder, args.subscribe !== false);
+
+            case 'rename_folder':
+                return await this.renameFolder(args.folder, args.newName);
+
+            case 'delete_folder':
+                return await this.deleteFolder(args.folder, args.force || false, this.mutationOptions(args));
+
+            case 'subscribe_folder':
+                return await this.setFolderSubscription(args.folder, true);
+
+            case 'unsubscribe_folder':
+                return await this.setFolderSubscription(args.folder, false);
+
+            case 'sync_status':
+                return await this.getSyncStatus(args?.folder || null, args?.sync || false);
+
+            case 'list_accounts':
+                return await this.listAccounts();
+
+            case 'apply_rules':
+                return await this.applyRules(args || {}, this.mutationOptions(args));
+
+            case 'archive_matching':
+                return await this.archiveMatching(args || {}, this.mutationOptions(args));
+
+            case 'delete_matching':
+                return await this.deleteMatching(args || {}, this.mutationOptions(args));
+
+            case 'move_matching':
+                return await this.moveMatching(args || {}, this.mutationOptions(args));
+
+            case 'mark_matching_read':
+                return await this.markMatchingRead(args || {}, this.mutationOptions(args));
+
+            case 'expunge_emails':
+                return await this.expungeEmails(args.uids, args.folder, this.mutationOptions(args));
+
+            case 'empty_folder':
+                return await this.emptyFolder(args?.folder, this.mutationOptions(args));
+
+            case 'list_subscriptions':
+                return await this.listSubscriptions(args?.folder || 'INBOX', args?.limit || 50, args?.scanLimit || 2000);
+
+            case 'unsubscribe':
+                return await this.unsubscribe(args || {}, this.mutationOptions(args));
+
+            case 'mailbox_stats':
+                return await this.mailboxStats(args?.folder || null, args || {});
+
+            case 'list_operations':
+                return await this.listOperations(args?.limit ?? 20);
+
+            case 'undo_operation':
+                return await this.undoOperation(args?.id);
+
+            default:
+                throw new Error(`Unknown tool: ${name}`);
+        }
+    }
+
+    /**
+     * Setup MCP resource handlers
+     * Folders and messages are exposed as yahoo-mail:// URIs:
+     *   yahoo-mail://{folder}                          recent emails in a folder
+     *   yahoo-mail://{folder}/{uid}                    a single email
+     *   yahoo-mail://{folder}/{uid}/attachments/{part} an attachment
+     */
+    setupResourceHandlers() {
+        // Folders are the listable resources; messages are reached through templates
+        this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+            const imap = await this.imapPool.acquire();
+
+            const boxes = await new Promise((resolve, reject) => {
+                imap.getBoxes((err, boxes) => {
+                    this.imapPool.release(imap);
+                    if (err) {
+                        reject(new Error(`Failed to retrieve folders: ${err.message}`));
+                        return;
+                    }
+                    resolve(boxes);
+                });
+            });
+
+            return {
+                resources: this.flattenFolders(boxes)
+                    .filter(folder => folder.selectable)
+                    .map(folder => ({
+                        uri: this.buildResourceUri(folder.name),
+                        name: folder.name,
+                        description: `Recent emails in the ${folder.name} folder`,
+                        mimeType: 'application/json'
+                    }))
+            };
+        });
+
+        this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+            return {
+                resourceTemplates: [
+                    {
+                        uriTemplate: 'yahoo-mail://{folder}/{uid}',
+                        name: 'Email',
+                        description: 'A single email by folder and UID (headers and body as text). Folder names are URI-encoded.',
+                        mimeType: 'text/plain'
+                    },
+                    {
+                        uriTemplate: 'yahoo-mail://{folder}/{uid}/attachments/{partId}',
+                        name: 'Email attachment',
+                        description: 'An attachment by folder, UID and part ID (part IDs come from list_attachments)'
+                    }
+                ]
+            };
+        });
+
+        this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+            const { uri } = request.params;
+            const { folder, uid, partId } = this.parseResourceUri(uri);
+
+            if (partId) {
+                const result = await this.getAttachment(uid, partId, folder);
+                const embedded = result.content.find(item => item.type === 'resource');
+                if (!embedded) {
+                    throw new Error(result.content[0]?.text || `Failed to read ${uri}`);
+                }
+                return { contents: [{ ...embedded.resource, uri: uri }] };
+            }
+
+            const text = await this.unwrapToolResult(() => (uid
+                ? this.readEmails([uid], folder)
+                : this.listEmails(50, folder, 0)));
+
+            return {
+                contents: [{
+                    uri: uri,
+                    mimeType: uid ? 'text/plain' : 'application/json',
+                    text: text
+                }]
+            };
+        });
+
+        // Subscriptions are backed by IDLE watchers on the folder
+        this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+            const { uri } = request.params;
+            const { folder } = this.parseResourceUri(uri);
+
+            if (!this.watchers.has(folder)) {
+                await this.watchFolder(folder);
+                this.subscriptionWatchers.add(folder);
+            }
+
+            this.resourceSubscriptions.add(uri);
+            return {};
+        });
+
+        this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+            const { uri } = request.params;
+            const { folder } = this.parseResourceUri(uri);
+
+            this.resourceSubscriptions.delete(uri);
+
+            // Stop the watcher if it was only running for subscriptions that are now gone
+            const stillSubscribed = [...this.resourceSubscriptions]
+                .some(subscribed => this.parseResourceUri(subscribed).folder === folder);
+
+            if (!stillSubscribed && this.subscriptionWatchers.has(folder)) {
+                this.subscriptionWatchers.delete(folder);
+                this.watchers.get(folder)?.stop();
+                this.watchers.delete(folder);
+            }
+
+            return {};
+        });
+    }
+
+    /**
+     * Setup MCP prompt handlers
+     * Prompts embed live search_emails/read_email results so the model starts from real data
+     */
+    setupPromptHandlers() {
+        this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+            return {
+                prompts: [
+                    {
+                        name: 'triage_inbox',
+                        description: 'Triage unread mail: categorize each email and propose actions (archive, flag, reply, delete)',
+                        arguments: [
+                            { name: 'folder', description: 'Folder to triage (default: INBOX)', required: false },
+                            { name: 'count', description: 'Number of unread emails to include (default: 20, max: 50)', required: false }
+                        ]
+                    },
+                    {
+                        name: 'summarize_unread_from_sender',
+                        description: 'Summarize unread emails from a specific sender',
+                        arguments: [
+                            { name: 'sender', description: 'Sender email address or name', required: true },
+                            { name: 'folder', description: 'Folder to search (default: INBOX)', required: false }
+                        ]
+                    },
+                    {
+                        name: 'draft_reply',
+                        description: 'Draft a reply to an email by UID for review before sending',
+                        arguments: [
+                            { name: 'uid', description: 'UID of the email to reply to', required: true },
+                            { name: 'folder', description: 'Folder containing the email (default: INBOX)', required: false },
+                            { name: 'instructions', description: 'What the reply should say (tone, decisions, details)', required: false }
+                        ]
+                    },
+                    {
+                        name: 'cleanup_newsletters',
+                        description: 'Find newsletters and promotional mail older than N days and propose a cleanup',
+                        arguments: [
+                            { name: 'days', description: 'Only consider emails older than this many days (default: 30)', required: false },
+                            { name: 'folder', description: 'Folder to clean up (default: INBOX)', required: false }
+                        ]
+                    }
+                ]
+            };
+        });
+
+        this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+            const { name, arguments: args = {} } = request.params;
+
+            switch (name) {
+                case 'triage_inbox':
+                    return await this.buildTriagePrompt(args);
+
+                case 'summarize_unread_from_sender':
+                    return await this.buildSenderSummaryPrompt(args);
+
+                case 'draft_reply':
+                    return await this.buildDraftReplyPrompt(args);
+
+                case 'cleanup_newsletters':
+                    return await this.buildNewsletterCleanupPrompt(args);
+
+                default:
+                    throw new Error(`Unknown prompt: ${name}`);
+            }
+        });
+    }
+
+    /**
+     * Create IMAP connection with the account's provider settings (password or XOAUTH2 login)
+     * Tool methods should go through this.imapPool instead of calling this directly
+     */
+    async createImapConnection(account = this.account) {
+        return new Promise((resolve, reject) => {
+            try {
+                this.checkCredentials(account, 'IMAP');
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            const settings = account.imap;
+            const imap = new Imap({
+                user: account.email,
+                password: account.auth === 'xoauth2' ? undefined : account.password,
+                xoauth2: account.auth === 'xoauth2' ? this.buildXOAuth2Token(account) : undefined,
+                host: settings.host,
+                port: settings.port,
+                tls: settings.security === 'tls',
+                autotls: settings.security === 'starttls' ? 'always' : 'never',
+                authTimeout: 30000,
+                connTimeout: 30000,
+                tlsOptions: {
+                    rejectUnauthorized: settings.rejectUnauthorized,
+                    servername: settings.host,
+                    minVersion: 'TLSv1.2'
+                }
+            });
+
+            // Add connection timeout handler (35 seconds)
+            const connectionTimeout = setTimeout(() => {
+                console.error('[IMAP] Connection timeout after 35 seconds');
+                imap.end();
+                reject(new Error('Connection timed out. Service may have been sleeping (Render spindown). Please try again.'));
+            }, 35000);
+
+            imap.once('ready', () => {
+                clearTimeout(connectionTimeout);
+                resolve(imap);
+            });
+
+            imap.once('error', (err) => {
+                clearTimeout(connectionTimeout);
+                console.error('[IMAP] Connection error:', err.message);
+
+                // Provide enhanced error messages based on error type
+                let errorMessage = err.message;
+
+                // Authentication errors
+                if (err.message.includes('Invalid credentials') ||
+                    err.message.includes('authentication failed') ||
+                    err.message.includes('AUTHENTICATIONFAILED')) {
+                    errorMessage = `Authentication failed: ${err.message}. Please check the ${account.providerName} credentials. ${account.passwordHelp}`;
+                }
+                // Network/connection errors
+                else if (err.message.includes('ENOTFOUND') ||
+                         err.message.includes('ECONNREFUSED') ||
+                         err.message.includes('ETIMEDOUT') ||
+                         err.message.includes('getaddrinfo')) {
+                    errorMessage = `Cannot connect to ${settings.host}:${settings.port}: ${err.message}. Check internet connection.`;
+                }
+                // Timeout errors
+                else if (err.message.includes('Timed out') ||
+                         err.message.includes('timeout')) {
+                    errorMessage = `Connection timed out: ${err.message}. Service may have been sleeping (Render spindown). Please try again.`;
+                }
+
+                reject(new Error(errorMessage));
+            });
+
+            imap.connect();
+        });
+    }
+
+    /**
+     * Helper: SASL XOAUTH2 initial response for IMAP (base64 of user + bearer token)
+     */
+    buildXOAuth2Token(account) {
+        return Buffer.from(`user=${account.email}\x01auth=Bearer ${account.accessToken}\x01\x01`).toString('base64');
+    }
+
+    /**
+     * Create SMTP transport using the same credentials as IMAP
+     * Host and port come from the provider preset and can be overridden (e.g. to point at a local SMTP sink for testing)
+     */
+    createSmtpTransport() {
+        const account = this.account;
+        this.checkCredentials(account, 'SMTP');
+
+        const settings = account.smtp;
+        return nodemailer.createTransport({
+            host: settings.host,
+            port: settings.port,
+            secure: settings.security === 'tls',
+            requireTLS: settings.security === 'starttls',
+            auth: account.auth === 'xoauth2'
+                ? { type: 'OAuth2', user: account.email, accessToken: account.accessToken }
+                : { user: account.email, pass: account.password },
+            connectionTimeout: 30000,
+            greetingTimeout: 30000,
+            tls: {
+                servername: settings.host,
+                minVersion: 'TLSv1.2',
+                rejectUnauthorized: settings.rejectUnauthorized
+            }
+        });
+    }
+
+    /**
+     * List recent emails with enriched metadata
+     * Pages newest first; pass the returned nextCursor to continue from the oldest UID seen
+     */
+    async listEmails(count = 10, folder = 'INBOX', offset = 0, cursor = null) {
+        // Validate count parameter
+        if (count < 1) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: count must be at least 1'
+                }]
+            };
+        }
+
+        if (count > 50) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: count cannot exceed 50 (use search or filters for larger results)'
+                }]
+            };
+        }
+
+        // Validate offset
+        if (offset < 0) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: offset must be non-negative'
+                }]
+            };
+        }
+
+        if (cursor && offset > 0) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: use either cursor or offset, not both'
+                }]
+            };
+        }
+
+        const position = cursor ? this.decodeCursor(cursor, 'list', folder) : null;
+        const imap = await this.imapPool.acquire();
+
+        try {
+            const box = await this.openFolder(imap, folder, true);
+            const total = box.messages.total;
+
+            if (total === 0) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: JSON.stringify({
+                            emails: [],
+                            totalCount: 0,
+                            offset: 0,
+                            limit: count,
+                            folder: folder,
+                            nextCursor: null
+                        }, null, 2)
+                    }]
+                };
+            }
+
+            let emails;
+            let hasMore;
+
+            if (position) {
+                this.checkCursorValidity(position, box, folder);
+            }
+
+            // With the header cache enabled, page through the local copy after an incremental sync
+            const cache = this.headerCache ? await this.headerCache.sync(imap, folder, box) : null;
+            const cachedUids = cache ? [...cache.messages.keys()].sort((a, b) => a - b) : null;
+
+            if (position) {
+                // UIDs only grow, so "older than the last UID seen" is stable across new mail and deletions
+                let older = [];
+                if (cache) {
+                    older = cachedUids.filter(uid => uid < position.uid);
+                } else if (position.uid > 1) {
+                    older = await this.runImapSearch(imap, [['UID', `1:${position.uid - 1}`]]);
+                }
+
+                const pageUids = older.slice(-count);
+                hasMore = older.length > pageUids.length;
+                if (cache) {
+                    emails = this.getCachedMetadata(cache, cachedUids, pageUids);
+                } else {
+                    emails = pageUids.length > 0 ? await this.fetchEmailMetadata(imap, pageUids) : [];
+                }
+            } else {
+                // Calculate range with offset
+                // If total=100, offset=10, count=10: fetch messages 81-90 (reversed for newest first)
+                const startSeq = Math.max(1, total - offset - count + 1);
+                const endSeq = Math.max(1, total - offset);
+
+                if (offset >= total) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify({
+                                emails: [],
+                                totalCount: total,
+                                offset: offset,
+                                limit: count,
+                                folder: folder,
+                                nextCursor: null,
+                                message: 'Offset exceeds available messages'
+                            }, null, 2)
+                        }]
+                    };
+                }
+
+                // Sequence numbers are positions in UID order, so the cache can serve the same range
+                if (cache) {
+                    emails = this.getCachedMetadata(cache, cachedUids, cachedUids.slice(startSeq - 1, endSeq));
+                } else {
+                    // Fetch with struct for attachments and size
+                    emails = await this.fetchEmailMetadata(imap, `${startSeq}:${endSeq}`, true);
+                }
+                hasMore = startSeq > 1;
+            }
+
+            // Sort by UID (newest first)
+            emails.sort((a, b) => b.uid - a.uid);
+
+            const nextCursor = hasMore && emails.length > 0
+                ? this.encodeCursor('list', folder, box.uidvalidity, emails[emails.length - 1].uid)
+                : null;
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        emails: emails,
+                        totalCount: total,
+                        offset: offset,
+                        limit: count,
+                        folder: folder,
+                        nextCursor: nextCursor,
+                        ...(cache && { fromCache: true })
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Read specific emails by UIDs (supports batch reading)
+     */
+    async readEmail(uids, folder = 'INBOX') {
+        // Support both single number and array for backward compatibility
+        if (!Array.isArray(uids)) {
+            uids = [uids];
+        }
+
+        return this.readEmails(uids, folder);
+    }
+
+    /**
+     * Search emails with advanced filters
+     * Filters are ANDed; `or` (array of filter groups) and `not` (filter group) allow boolean composition
+     * Results page newest first; `cursor` continues below the oldest UID of the previous page
+     */
+    async searchEmails(query, options = {}) {
+        const { count = 10 } = options;
+
+        // Validate query parameter (allow empty for date-only searches)
+        if (query === undefined || query === null) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: query is required (use empty string "" for searches without text criteria)'
+                }]
+            };
+        }
+
+        // Validate count parameter
+        if (count < 1) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: count must be at least 1'
+                }]
+            };
+        }
+
+        // Gmail-style operators in the query (from:, is:unread, in:Archive, ...) become structured filters
+        const parsed = this.parseSearchQuery(query);
+        if (parsed.folder && options.folder && parsed.folder !== options.folder) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: query says in:${parsed.folder} but folder is "${options.folder}" - use only one of them`
+                }]
+            };
+        }
+
+        const folder = parsed.folder || options.folder || 'INBOX';
+        const filters = this.buildSearchFilters(parsed, options);
+
+        // Build criteria up front so invalid filters fail before connecting
+        this.compileSearchCriteria(filters, true);
+
+        const cursorScope = this.hashSearchFilters(filters, folder);
+        const position = options.cursor ? this.decodeCursor(options.cursor, 'search', cursorScope) : null;
+
+        const imap = await this.imapPool.acquire();
+
+        try {
+            const box = await this.openFolder(imap, folder, true);
+            if (position) {
+                this.checkCursorValidity(position, box, folder);
+            }
+
+            // Envelope/flag/size criteria can be answered from the header cache; full-text needs the server
+            const cache = this.headerCache && this.isCacheSearchable(filters)
+                ? await this.headerCache.sync(imap, folder, box)
+                : null;
+            let results;
+
+            if (cache) {
+                results = [...cache.messages.values()]
+                    .filter(entry => this.matchesCachedEntry(entry, filters))
+                    .map(entry => entry.uid)
+                    .sort((a, b) => a - b);
+            } else {
+                // CRITICAL: imap.search() returns UIDs by default (NOT sequence numbers)
+                results = await this.searchUids(imap, filters);
+            }
+
+            // Continue below the oldest UID of the previous page
+            if (position) {
+                results = results.filter(uid => uid < position.uid);
+            }
+
+            // IMAP has no "has attachment" criterion: check BODYSTRUCTURE of the candidates
+            if (!cache && filters.hasAttachment !== undefined && filters.hasAttachment !== null && results.length > 0) {
+                results = await this.filterByAttachments(imap, results, filters.hasAttachment);
+            }
+
+            if (results.length === 0) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: JSON.stringify({
+                            emails: [],
+                            totalMatches: 0,
+                            nextCursor: null,
+                            query: query,
+                            ...(parsed.hasOperators && { parsedQuery: filters }),
+                            filters: options,
+                            folder: folder
+                        }, null, 2)
+                    }]
+                };
+            }
+
+            // Get the most recent results (UIDs are already sorted)
+            const limitedResults = results.slice(-count);
+            const emails = cache
+                ? this.getCachedMetadata(cache, [...cache.messages.keys()].sort((a, b) => a - b), limitedResults)
+                : await this.fetchEmailMetadata(imap, limitedResults);
+
+            // Sort by UID (newest first typically)
+            emails.sort((a, b) => b.uid - a.uid);
+
+            const nextCursor = results.length > limitedResults.length
+                ? this.encodeCursor('search', cursorScope, box.uidvalidity, limitedResults[0])
+                : null;
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        emails: emails,
+                        totalMatches: results.length,
+                        returned: emails.length,
+                        nextCursor: nextCursor,
+                        query: query,
+                        ...(parsed.hasOperators && { parsedQuery: filters }),
+                        filters: options,
+                        folder: folder,
+                        ...(cache && { fromCache: true })
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Helper: Merge a parsed query (see parseSearchQuery) into structured search filters
+     */
+    buildSearchFilters(parsed, options = {}) {
+        const filters = { ...options, query: parsed.query };
+        if (parsed.groups.length > 0) {
+            filters.and = [...(options.and || []), ...parsed.groups];
+        }
+        if (parsed.hasAttachment !== undefined) {
+            filters.hasAttachment = parsed.hasAttachment;
+        }
+        return filters;
+    }
+
+    /**
+     * Helper: Matching UIDs for a filter tree in the selected mailbox, including the hasAttachment check
+     */
+    async findMatchingUids(imap, filters) {
+        const uids = await this.searchUids(imap, filters);
+        if (filters.hasAttachment === undefined || filters.hasAttachment === null || uids.length === 0) {
+            return uids;
+        }
+        return this.filterByAttachments(imap, uids, filters.hasAttachment);
+    }
+
+    /**
+     * Helper: Run a filter tree against the selected mailbox and return matching UIDs (ascending)
+     * Trees that compile to one IMAP SEARCH run server-side in a single command; otherwise
+     * each group is searched separately and combined with set operations
+     */
+    async searchUids(imap, filters) {
+        const compiled = this.compileSearchCriteria(filters);
+        if (compiled) {
+            return this.runImapSearch(imap, compiled.length > 0 ? compiled : ['ALL']);
+        }
+
+        const leaf = this.buildLeafCriteria(filters);
+        let result = new Set(await this.runImapSearch(imap, leaf.length > 0 ? leaf : ['ALL']));
+
+        for (const group of filters.and || []) {
+            const matched = new Set(await this.searchUids(imap, group));
+            result = new Set([...result].filter(uid => matched.has(uid)));
+        }
+
+        if (filters.or) {
+            const union = new Set();
+            for (const group of filters.or) {
+                for (const uid of await this.searchUids(imap, group)) union.add(uid);
+            }
+            result = new Set([...result].filter(uid => union.has(uid)));
+        }
+
+        if (filters.not) {
+            const excluded = new Set(await this.searchUids(imap, filters.not));
+            result = new Set([...result].filter(uid => !excluded.has(uid)));
+        }
+
+        return [...result].sort((a, b) => a - b);
+    }
+
+    /**
+     * Helper: Compile a filter tree into a single node-imap criteria array (ANDed)
+     * @returns {Array|null} Criteria, or null if the tree needs client-side set operations
+     *   (node-imap can't put an AND group inside OR/NOT)
+     */
+    compileSearchCriteria(filters, topLevel = true) {
+        const criteria = this.buildLeafCriteria(filters, topLevel);
+        let compilable = true;
+
+        if (filters.and !== undefined) {
+            if (!Array.isArray(filters.and) || filters.and.length === 0) {
+                throw new Error('and must be a non-empty array of filter groups');
+            }
+
+            for (const group of filters.and) {
+                if (!group || typeof group !== 'object' || Array.isArray(group)) {
+                    throw new Error('filter groups in and/or/not must be objects');
+                }
+
+                const compiled = this.compileSearchCriteria(group, false);
+                if (compiled === null) {
+                    compilable = false;
+                } else {
+                    criteria.push(...compiled);
+                }
+            }
+        }
+
+        if (filters.or !== undefined) {
+            if (!Array.isArray(filters.or) || filters.or.length === 0) {
+                throw new Error('or must be a non-empty array of filter groups');
+            }
+
+            const branches = filters.or.map(group => this.toSingleCriterion(group));
+            if (branches.some(branch => branch === null)) {
+                compilable = false;
+            } else {
+                criteria.push(this.buildOrCriteria(branches));
+            }
+        }
+
+        if (filters.not !== undefined) {
+            if (!filters.not || typeof filters.not !== 'object' || Array.isArray(filters.not)) {
+                throw new Error('not must be a filter group object');
+            }
+
+            const negated = this.toSingleCriterion(filters.not);
+            const isOr = Array.isArray(negated) && negated[0] === 'OR';
+            if (negated === null || isOr) {
+                compilable = false;
+            } else {
+                criteria.push(this.negateCriterion(negated));
+            }
+        }
+
+        return compilable ? criteria : null;
+    }
+
+    /**
+     * Helper: Compile a nested filter group to exactly one criterion, or null if it can't be
+     */
+    toSingleCriterion(group) {
+        if (!group || typeof group !== 'object' || Array.isArray(group)) {
+            throw new Error('filter groups in and/or/not must be objects');
+        }
+
+        const compiled = this.compileSearchCriteria(group, false);
+        if (compiled === null) return null;
+        if (compiled.length === 0) {
+            throw new Error('filter groups in or/not must contain at least one criterion');
+        }
+
+        return compiled.length === 1 ? compiled[0] : null;
+    }
+
+    /**
+     * Helper: Negate a single criterion using node-imap's "!" prefix
+     */
+    negateCriterion(criterion) {
+        const negate = (name) => (name.startsWith('!') ? name.substring(1) : `!${name}`);
+
+        return Array.isArray(criterion)
+            ? [negate(criterion[0]), ...criterion.slice(1)]
+            : negate(criterion);
+    }
+
+    /**
+     * Helper: Translate the plain (non-group) search filters into node-imap criteria
+     * @throws {Error} If a filter value is invalid
+     */
+    buildLeafCriteria(filters, topLevel = true) {
+        const criteria = [];
+        const text = (value) => typeof value === 'string' && value.trim().length > 0;
+
+        // Text search (subject or from)
+        if (text(filters.query)) {
+            criteria.push([
+                'OR',
+                ['HEADER', 'SUBJECT', filters.query],
+                ['HEADER', 'FROM', filters.query]
+            ]);
+        }
+
+        // Header filters
+        if (text(filters.sender)) criteria.push(['HEADER', 'FROM', filters.sender]);
+        if (text(filters.from)) criteria.push(['HEADER', 'FROM', filters.from]);
+        if (text(filters.to)) criteria.push(['TO', filters.to]);
+        if (text(filters.cc)) criteria.push(['CC', filters.cc]);
+        if (text(filters.bcc)) criteria.push(['BCC', filters.bcc]);
+        if (text(filters.subject)) criteria.push(['SUBJECT', filters.subject]);
+
+        // Full-text search
+        if (text(filters.body)) criteria.push(['BODY', filters.body]);
+        if (text(filters.text)) criteria.push(['TEXT', filters.text]);
+
+        // Date range filters
+        for (const [key, keyword] of [['dateFrom', 'SINCE'], ['dateTo', 'BEFORE']]) {
+            if (filters[key]) {
+                const date = new Date(filters[key]);
+                if (isNaN(date.getTime())) {
+                    throw new Error(`Invalid ${key} format: ${filters[key]}. Use ISO 8601 format.`);
+                }
+                criteria.push([keyword, date]);
+            }
+        }
+
+        // Unread only filter
+        if (filters.unreadOnly) criteria.push('UNSEEN');
+
+        // Flag state filters (true = must have flag, false = must not have it)
+        for (const [key, on, off] of [
+            ['seen', 'SEEN', 'UNSEEN'],
+            ['flagged', 'FLAGGED', 'UNFLAGGED'],
+            ['answered', 'ANSWERED', 'UNANSWERED'],
+            ['draft', 'DRAFT', 'UNDRAFT']
+        ]) {
+            if (filters[key] === true) criteria.push(on);
+            if (filters[key] === false) criteria.push(off);
+        }
+
+        // Size filters (bytes)
+        for (const [key, keyword] of [['larger', 'LARGER'], ['smaller', 'SMALLER']]) {
+            if (filters[key] !== undefined && filters[key] !== null) {
+                const size = Number(filters[key]);
+                if (!Number.isInteger(size) || size < 0) {
+                    throw new Error(`${key} must be a non-negative number of bytes`);
+                }
+                criteria.push([keyword, size]);
+            }
+        }
+
+        // Custom keywords
+        for (const [key, keyword] of [['keywords', 'KEYWORD'], ['excludeKeywords', 'UNKEYWORD']]) {
+            if (filters[key] !== undefined && filters[key] !== null) {
+                const keywords = Array.isArray(filters[key]) ? filters[key] : [filters[key]];
+                for (const value of keywords) {
+                    if (!text(value) || /[\s()\]{%*"\\]/.test(value)) {
+                        throw new Error(`${key} contains an invalid keyword: "${value}"`);
+                    }
+                    criteria.push([keyword, value]);
+                }
+            }
+        }
+
+        if (!topLevel && filters.hasAttachment !== undefined && filters.hasAttachment !== null) {
+            throw new Error('hasAttachment can only be used at the top level, not inside and/or/not groups');
+        }
+
+        return criteria;
+    }
+
+    /**
+     * Helper: Parse a Gmail-style query string into search filters
+     * e.g. `from:alice subject:"q3 report" is:unread has:attachment larger:2M after:2026-01-01 in:Archive`
+     * Supports quoted values, "-" negation and "OR" between terms; plain words are matched
+     * against subject/sender as before
+     * @returns {{query: string, groups: Array, folder: string|null, hasAttachment: boolean|undefined, hasOperators: boolean}}
+     * @throws {Error} On unknown operators or invalid values
+     */
+    parseSearchQuery(query) {
+        const operators = {
+            from: (value) => ({ sender: value }),
+            to: (value) => ({ to: value }),
+            cc: (value) => ({ cc: value }),
+            bcc: (value) => ({ bcc: value }),
+            subject: (value) => ({ subject: value }),
+            body: (value) => ({ body: value }),
+            text: (value) => ({ text: value }),
+            is: (value) => {
+                const states = {
+                    unread: { seen: false },
+                    read: { seen: true },
+                    starred: { flagged: true },
+                    flagged: { flagged: true },
+                    answered: { answered: true },
+                    replied: { answered: true },
+                    draft: { draft: true }
+                };
+                const state = states[value.toLowerCase()];
+                if (!state) {
+                    throw new Error(`Unknown value is:${value}. Supported: ${Object.keys(states).map(k => `is:${k}`).join(', ')}`);
+                }
+                return state;
+            },
+            has: (value) => {
+                if (value.toLowerCase() !== 'attachment') {
+                    throw new Error(`Unknown value has:${value}. Supported: has:attachment`);
+                }
+                return { hasAttachment: true };
+            },
+            larger: (value) => ({ larger: this.parseSizeValue('larger', value) }),
+            smaller: (value) => ({ smaller: this.parseSizeValue('smaller', value) }),
+            after: (value) => ({ dateFrom: this.parseDateValue('after', value) }),
+            since: (value) => ({ dateFrom: this.parseDateValue('since', value) }),
+            before: (value) => ({ dateTo: this.parseDateValue('before', value) }),
+            older_than: (value) => ({ dateTo: this.parseRelativeDate('older_than', value) }),
+            newer_than: (value) => ({ dateFrom: this.parseRelativeDate('newer_than', value) }),
+            label: (value) => ({ keywords: [value] }),
+            keyword: (value) => ({ keywords: [value] }),
+            in: (value) => ({ folder: value })
+        };
+
+        const result = { query: '', groups: [], folder: null, hasAttachment: undefined, hasOperators: false };
+        const words = [];
+        const terms = [];
+        let pendingOr = false;
+
+        // [-]operator:value, [-]operator:"quoted value", "quoted phrase", OR, word
+        const tokens = [...query.matchAll(/(-)?(?:([A-Za-z_]+):)?(?:"([^"]*)"|(\S+))/g)];
+        for (const [index, match] of tokens.entries()) {
+            const [raw, negated, name, quoted, bare] = match;
+            const nextIsOr = tokens[index + 1]?.[0] === 'OR';
+            const value = quoted !== undefined ? quoted : bare;
+
+            if (raw === 'OR') {
+                if (terms.length === 0 || pendingOr) {
+                    throw new Error('OR must appear between two search terms');
+                }
+                pendingOr = true;
+                result.hasOperators = true;
+                continue;
+            }
+
+            let term;
+            if (name) {
+                const operator = operators[name.toLowerCase()];
+                if (!operator) {
+                    throw new Error(`Unknown search operator "${name}:". Supported: ${Object.keys(operators).map(k => `${k}:`).join(' ')} (quote the text to search for it literally)`);
+                }
+                if (!value) {
+                    throw new Error(`Missing value for ${name}:`);
+                }
+                term = operator(value);
+            } else if (bare && /^[A-Za-z_]+:$/.test(bare) && operators[bare.slice(0, -1).toLowerCase()]) {
+                throw new Error(`Missing value for ${bare} (write ${bare}value without a space)`);
+            } else if (!value) {
+                continue;
+            } else if (!negated && !pendingOr && !nextIsOr) {
+                // Plain words keep the original subject/sender phrase match
+                words.push(value);
+                continue;
+            } else {
+                term = { query: value };
+            }
+
+            result.hasOperators = result.hasOperators || Boolean(name || negated);
+            terms.push({ term, negated: Boolean(negated), raw, joinOr: pendingOr });
+            pendingOr = false;
+        }
+
+        if (pendingOr) {
+            throw new Error('OR must appear between two search terms');
+        }
+
+        // Group "a OR b OR c" chains; every other term is ANDed
+        const chains = [];
+        for (const entry of terms) {
+            if (entry.joinOr) {
+                chains[chains.length - 1].push(entry);
+            } else {
+                chains.push([entry]);
+            }
+        }
+
+        for (const chain of chains) {
+            for (const { term, negated, raw } of chain) {
+                if ((term.folder || term.hasAttachment) && (chain.length > 1 || (term.folder && negated))) {
+                    throw new Error(`${raw} can't be combined with OR${term.folder ? ' or negated' : ''}`);
+                }
+            }
+
+            if (chain.length === 1) {
+                const { term, negated } = chain[0];
+                if (term.folder) {
+                    if (result.folder && result.folder !== term.folder) {
+                        throw new Error(`Only one in: folder is allowed (got "${result.folder}" and "${term.folder}")`);
+                    }
+                    result.folder = term.folder;
+                } else if (term.hasAttachment) {
+                    result.hasAttachment = !negated;
+                } else {
+                    result.groups.push(negated ? { not: term } : term);
+                }
+                continue;
+            }
+
+            result.groups.push({ or: chain.map(({ term, negated }) => (negated ? { not: term } : term)) });
+        }
+
+        result.query = words.join(' ');
+        return result;
+    }
+
+    /**
+     * Helper: Parse a size like "2M", "500K", "1.5MB" or "1024" into bytes
+     */
+    parseSizeValue(operator, value) {
+        const match = /^(\d+(?:\.\d+)?)\s*([KMG]?)B?$/i.exec(value);
+        if (!match) {
+            throw new Error(`Invalid size in ${operator}:${value}. Use bytes or a K/M/G suffix, e.g. ${operator}:2M`);
+        }
+
+        const multipliers = { '': 1, K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+        return Math.round(parseFloat(match[1]) * multipliers[match[2].toUpperCase()]);
+    }
+
+    /**
+     * Helper: Parse an absolute date operator value (2026-01-01 or 2026/01/01)
+     */
+    parseDateValue(operator, value) {
+        const date = new Date(/^\d{4}\/\d{1,2}\/\d{1,2}$/.test(value) ? value.replace(/\//g, '-') : value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date in ${operator}:${value}. Use YYYY-MM-DD.`);
+        }
+        return date.toISOString();
+    }
+
+    /**
+     * Helper: Turn a relative age like "7d", "2w", "3m" or "1y" into an ISO date that far in the past
+     * Rounded to the start of that day: SINCE/BEFORE only compare dates, and the same query must
+     * give the same criteria within a day (confirmation tokens are bound to them)
+     */
+    parseRelativeDate(operator, value) {
+        const match = /^(\d+)([dwmy])$/i.exec(value);
+        if (!match) {
+            throw new Error(`Invalid age in ${operator}:${value}. Use a number with d, w, m or y, e.g. ${operator}:7d`);
+        }
+
+        const amount = parseInt(match[1], 10);
+        const date = new Date();
+        switch (match[2].toLowerCase()) {
+            case 'd': date.setDate(date.getDate() - amount); break;
+            case 'w': date.setDate(date.getDate() - amount * 7); break;
+            case 'm': date.setMonth(date.getMonth() - amount); break;
+            case 'y': date.setFullYear(date.getFullYear() - amount); break;
+        }
+        date.setHours(0, 0, 0, 0);
+        return date.toISOString();
+    }
+
+    /**
+     * Helper: Whether a filter tree only uses criteria the header cache stores
+     * (full-text BODY/TEXT and Bcc aren't cached)
+     */
+    isCacheSearchable(filters) {
+        if (['body', 'text', 'bcc'].some(key => filters[key])) return false;
+
+        return [...(filters.and || []), ...(filters.or || []), ...(filters.not ? [filters.not] : [])]
+            .every(group => this.isCacheSearchable(group));
+    }
+
+    /**
+     * Helper: Evaluate a filter tree against a cached entry with IMAP SEARCH semantics
+     * (case-insensitive substring matches, SINCE/BEFORE on the internal date by day)
+     */
+    matchesCachedEntry(entry, filters) {
+        const contains = (haystack, needle) => String(haystack || '').toLowerCase().includes(needle.toLowerCase());
+        const text = (value) => typeof value === 'string' && value.trim().length > 0;
+        const hasFlag = (flag) => entry.flags.some(f => f.toLowerCase() === flag.toLowerCase());
+        const day = (value) => {
+            const date = new Date(value);
+            return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+        };
+
+        if (text(filters.query) && !contains(entry.subject, filters.query) && !contains(entry.from, filters.query)) return false;
+        if (text(filters.sender) && !contains(entry.from, filters.sender)) return false;
+        if (text(filters.from) && !contains(entry.from, filters.from)) return false;
+        if (text(filters.to) && !contains(entry.to, filters.to)) return false;
+        if (text(filters.cc) && !contains(entry.cc, filters.cc)) return false;
+        if (text(filters.subject) && !contains(entry.subject, filters.subject)) return false;
+
+        if (filters.dateFrom && (!entry.internalDate || day(entry.internalDate) < day(filters.dateFrom))) return false;
+        if (filters.dateTo && (!entry.internalDate || day(entry.internalDate) >= day(filters.dateTo))) return false;
+
+        if (filters.unreadOnly && hasFlag('\\Seen')) return false;
+        for (const [key, flag] of [['seen', '\\Seen'], ['flagged', '\\Flagged'], ['answered', '\\Answered'], ['draft', '\\Draft']]) {
+            if (filters[key] === true && !hasFlag(flag)) return false;
+            if (filters[key] === false && hasFlag(flag)) return false;
+        }
+
+        if (filters.larger !== undefined && filters.larger !== null && !(entry.size > Number(filters.larger))) return false;
+        if (filters.smaller !== undefined && filters.smaller !== null && !(entry.size < Number(filters.smaller))) return false;
+
+        const list = (value) => (value === undefined || value === null ? [] : [].concat(value));
+        if (list(filters.keywords).some(keyword => !hasFlag(keyword))) return false;
+        if (list(filters.excludeKeywords).some(keyword => hasFlag(keyword))) return false;
+
+        if (filters.hasAttachment !== undefined && filters.hasAttachment !== null
+            && entry.hasAttachments !== Boolean(filters.hasAttachment)) return false;
+
+        if ((filters.and || []).some(group => !this.matchesCachedEntry(entry, group))) return false;
+        if (filters.or && !filters.or.some(group => this.matchesCachedEntry(entry, group))) return false;
+        if (filters.not && this.matchesCachedEntry(entry, filters.not)) return false;
+
+        return true;
+    }
+
+    /**
+     * Helper: Build list_emails metadata for cached UIDs (sequence numbers are positions in UID order)
+     */
+    getCachedMetadata(cache, sortedUids, uids) {
+        const positions = new Map(sortedUids.map((uid, index) => [uid, index + 1]));
+
+        return uids.map((uid) => {
+            const entry = cache.messages.get(uid);
+            return {
+                uid: entry.uid,
+                sequenceNumber: positions.get(uid),
+                from: entry.from,
+                subject: entry.subject,
+                date: entry.date,
+                size: entry.size,
+                flags: entry.flags,
+                hasAttachments: entry.hasAttachments
+            };
+        });
+    }
+
+    /**
+     * Helper: Keep only UIDs whose BODYSTRUCTURE does (or doesn't) contain attachments
+     */
+    async filterByAttachments(imap, uids, wanted) {
+        const kept = [];
+
+        // Structure-only fetches are small, but keep each command bounded
+        for (let i = 0; i < uids.length; i += 500) {
+            await new Promise((resolve, reject) => {
+                const fetch = imap.fetch(uids.slice(i, i + 500), { struct: true });
+
+                fetch.on('message', (msg) => {
+                    msg.once('attributes', (attrs) => {
+                        if (this.hasAttachments(attrs.struct) === Boolean(wanted)) {
+                            kept.push(attrs.uid);
+                        }
+                    });
+                });
+
+                fetch.once('error', reject);
+                fetch.once('end', resolve);
+            });
+        }
+
+        return kept.sort((a, b) => a - b);
+    }
+
+    /**
+     * Helper: Run a UID SEARCH on the selected mailbox
+     */
+    async runImapSearch(imap, criteria) {
+        return new Promise((resolve, reject) => {
+            imap.search(criteria, (err, results) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(results || []);
+            });
+        });
+    }
+
+    /**
+     * Helper: Open a mailbox through the pool as a promise
+     */
+    async openFolder(imap, folder, readOnly = true) {
+        return new Promise((resolve, reject) => {
+            this.imapPool.openBox(imap, folder, readOnly, (err, box) => {
+                if (err) {
+                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                    return;
+                }
+                resolve(box);
+            });
+        });
+    }
+
+    /**
+     * Helper: Build an opaque pagination cursor pointing below `uid` in a folder
+     * @param {string} kind - 'list' or 'search'
+     * @param {string} scope - Folder for list cursors, folder + filter hash for search cursors
+     */
+    encodeCursor(kind, scope, uidValidity, uid) {
+        return Buffer.from(JSON.stringify({ k: kind, s: scope, v: uidValidity, u: uid })).toString('base64url');
+    }
+
+    /**
+     * Helper: Decode a pagination cursor and check it was issued for the same listing/search
+     * @throws {Error} If the cursor is malformed or belongs to another folder or query
+     */
+    decodeCursor(cursor, kind, scope) {
+        let position;
+        try {
+            position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch {
+            position = null;
+        }
+
+        if (!position || position.k === undefined || !Number.isInteger(position.u) || position.u < 1) {
+            throw new Error('Invalid cursor. Pass nextCursor exactly as returned by the previous call.');
+        }
+
+        if (position.k !== kind || position.s !== scope) {
+            throw new Error(kind === 'list'
+                ? 'Cursor was issued for a different folder or tool. Start again without a cursor.'
+                : 'Cursor was issued for a different search (query, filters or folder changed). Start again without a cursor.');
+        }
+
+        return { uidValidity: position.v, uid: position.u };
+    }
+
+    /**
+     * Helper: Reject cursors from before the folder's UIDs were reassigned (UIDVALIDITY changed)
+     */
+    checkCursorValidity(position, box, folder) {
+        if (String(position.uidValidity) !== String(box.uidvalidity)) {
+            throw new Error(`Cursor is no longer valid: folder "${folder}" was rebuilt on the server (UIDVALIDITY changed). Start again without a cursor.`);
+        }
+    }
+
+    /**
+     * Helper: Stable fingerprint of search filters so a cursor can't be replayed against another query
+     */
+    hashSearchFilters(filters, folder) {
+        const canonical = (value) => {
+            if (Array.isArray(value)) return value.map(canonical);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort()
+                    .filter(key => value[key] !== undefined && value[key] !== null && !['count', 'cursor', 'folder'].includes(key))
+                    .reduce((result, key) => ({ ...result, [key]: canonical(value[key]) }), {});
+            }
+            return value;
+        };
+
+        const digest = crypto.createHash('sha256')
+            .update(JSON.stringify(canonical(filters)))
+            .digest('hex')
+            .substring(0, 16);
+
+        return `${folder}:${digest}`;
+    }
+
+    /**
+     * Validate sequence numbers array for all email operations
+     * @returns {string|null} Error message if invalid, null if valid
+     */
+    validateSequenceNumbers(sequenceNumbers) {
+        if (!sequenceNumbers) {
+            return 'sequenceNumbers is required';
+        }
+
+        if (!Array.isArray(sequenceNumbers)) {
+            return 'sequenceNumbers must be an array';
+        }
+
+        if (sequenceNumbers.length === 0) {
+            return 'sequenceNumbers cannot be empty';
+        }
+
+        const invalidValues = sequenceNumbers.filter(n => n === undefined || n === null || typeof n !== 'number');
+        if (invalidValues.length > 0) {
+            return 'sequenceNumbers contains invalid values (must be numbers)';
+        }
+
+        return null;
+    }
+
+    /**
+     * Helper method for batch email modification operations using UIDs
+     * With a journal spec ({ type: 'move', destination } or { type: 'flags', action, items, keywords })
+     * the change is recorded for undo_operation; the recorded entry is left in journal.entry
+     * options: dryRun (preview only), confirmationToken / requireConfirmation (see validateConfirmation)
+     * The UIDs are sent as UID sets of up to BULK_CHUNK_SIZE, so operation gets an array of ranges
+     * (or a single UID when a failed chunk is retried UID by UID)
+     */
+    async modifyEmails(uids, operation, operationName, folder = 'INBOX', journal = null, options = {}) {
+        // Validate input
+        const validationError = this.validateUIDs(uids);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError}`
+                }]
+            };
+        }
+
+        // What a dry run previews and a confirmation token vouches for
+        const scope = {
+            operation: operationName,
+            folder: folder,
+            uids: [...new Set(uids)].sort((a, b) => a - b)
+        };
+
+        if (options.dryRun) {
+            return this.previewModification(uids, operationName, folder, journal, scope);
+        }
+
+        if (options.requireConfirmation || options.confirmationToken) {
+            const confirmationError = this.validateConfirmation(options.confirmationToken, scope);
+            if (confirmationError) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: ${confirmationError}`
+                    }]
+                };
+            }
+        }
+
+        const chunkSize = parseInt(process.env.BULK_CHUNK_SIZE || '500', 10);
+        const imap = await this.imapPool.acquire();
+
+        return new Promise((resolve, reject) => {
+            this.imapPool.openBox(imap, folder, false, async (err, box) => {  // false = read-write mode
+                if (err) {
+                    this.imapPool.release(imap);
+                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                    return;
+                }
+
+                // Journal: flags and Message-IDs before the change, and where each moved message went
+                const before = new Map();
+                const copies = new Map();
+                const copyUid = journal?.type === 'move' ? this.captureCopyUid(imap) : null;
+
+                // Run the operation on a UID set, resolving with its error (if any)
+                const run = (source, sources) => new Promise((done) => {
+                    copyUid?.reset();
+                    try {
+                        operation(imap, source, (err, destinationUids) => {
+                            if (!err) {
+                                copyUid?.record(sources, destinationUids, copies);
+                            }
+                            done(err || null);
+                        });
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+
+                const successfulUIDs = [];
+                const failedUIDs = [];
+
+                // One UID set command per chunk; a chunk that fails is retried UID by UID to tell which ones failed
+                try {
+                    for (let i = 0; i < scope.uids.length; i += chunkSize) {
+                        const chunk = scope.uids.slice(i, i + chunkSize);
+
+                        if (journal) {
+                            try {
+                                const state = await this.fetchJournalState(imap, this.toUidRanges(chunk));
+                                state.forEach((value, uid) => before.set(uid, value));
+                            } catch (error) {
+                                console.error('[Journal] Could not read message state before the change:', error.message);
+                            }
+                        }
+
+                        const error = await run(this.toUidRanges(chunk), chunk);
+                        if (!error) {
+                            successfulUIDs.push(...chunk);
+                            continue;
+                        }
+
+                        console.error(`[UID ${chunk[0]}-${chunk[chunk.length - 1]}] Failed to ${operationName}, retrying each UID:`, error.message);
+                        for (const uid of chunk) {
+                            const uidError = await run(uid.toString(), [uid]);
+                            if (uidError) {
+                                console.error(`[UID ${uid}] Failed to ${operationName}:`, uidError.message);
+                                failedUIDs.push(uid);
+                            } else {
+                                successfulUIDs.push(uid);
+                            }
+                        }
+                    }
+                } finally {
+                    copyUid?.dispose();
+                    this.imapPool.release(imap);
+                }
+
+                let undoHint = '';
+                if (journal && successfulUIDs.length > 0) {
+                    try {
+                        journal.entry = await this.recordOperation(journal, operationName, folder, box, successfulUIDs, before, copies);
+                        undoHint = ` (operation ${journal.entry.id}, reverse with undo_operation)`;
+                    } catch (error) {
+                        console.error('[Journal] Failed to record operation:', error.message);
+                    }
+                }
+
+                if (successfulUIDs.length === 0) {
+                    reject(new Error(`Failed to ${operationName} ${failedUIDs.length} email(s). UIDs may not exist: ${failedUIDs.join(', ')}`));
+                    return;
+                }
+
+                const message = failedUIDs.length > 0
+                    ? `Successfully ${operationName} ${successfulUIDs.length} of ${scope.uids.length} email(s). ` +
+                      `Successful: ${successfulUIDs.join(', ')}. Failed: ${failedUIDs.join(', ')}`
+                    : `Successfully ${operationName} ${successfulUIDs.length} email(s) with UIDs: ${successfulUIDs.join(', ')}`;
+
+                resolve({
+                    content: [{
+                        type: 'text',
+                        text: message + undoHint
+                    }]
+                });
+            });
+        });
+    }
+
+    /**
+     * Helper: Dry run of modifyEmails - which emails exist and what would happen to each
+     */
+    async previewModification(uids, operationName, folder, journal, scope) {
+        const imap = await this.imapPool.acquire();
+
+        try {
+            await this.openFolder(imap, folder, true);
+            const emails = await this.fetchEmailMetadata(imap, uids);
+            const byUid = new Map(emails.map(email => [email.uid, email]));
+
+            const preview = uids.filter(uid => byUid.has(uid)).map(uid => {
+                const email = byUid.get(uid);
+                return {
+                    uid: uid,
+                    from: email.from,
+                    subject: email.subject,
+                    date: email.date,
+                    flags: email.flags,
+                    change: this.describeModification(journal, email.flags)
+                };
+            });
+            const { token, expiresAt } = this.createConfirmationToken(scope);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        dryRun: true,
+                        operation: operationName,
+                        folder: folder,
+                        wouldChange: preview.filter(email => email.change !== 'none').length,
+                        unchanged: preview.filter(email => email.change === 'none').length,
+                        emails: preview,
+                        notFound: uids.filter(uid => !byUid.has(uid)),
+                        confirmationToken: token,
+                        confirmationExpiresAt: expiresAt,
+                        confirmationRequired: this.requireConfirmation
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Helper: Human-readable change a modification would make to one email ("none" if already in that state)
+     */
+    describeModification(journal, flags) {
+        if (!journal) return 'modify';
+        if (journal.type === 'move') return `move to ${journal.destination}`;
+
+        const current = flags.map(flag => flag.toLowerCase());
+        const items = journal.items.filter(item =>
+            current.includes(item.toLowerCase()) === (journal.action === 'remove'));
+        return items.length > 0 ? `${journal.action} ${items.join(', ')}` : 'none';
+    }
+
+    /**
+     * Helper: Token proving a dry run of exactly this scope happened recently (valid 15 minutes)
+     */
+    createConfirmationToken(scope) {
+        const expiresAt = Date.now() + 15 * 60 * 1000;
+        return {
+            token: `${expiresAt.toString(36)}.${this.signConfirmation(expiresAt, scope)}`,
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+
+    /**
+     * Helper: Check a confirmation token against the call about to run
+     * @returns {string|null} Error message or null if the token is valid
+     */
+    validateConfirmation(token, scope) {
+        if (!token) {
+            return 'this server requires confirmation: run the same call with dryRun: true first, then pass its confirmationToken';
+        }
+
+        const [expiry, signature] = String(token).split('.');
+        const expiresAt = parseInt(expiry, 36);
+        if (!signature || !Number.isFinite(expiresAt)) {
+            return 'confirmationToken is malformed';
+        }
+
+        const expected = this.signConfirmation(expiresAt, scope);
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return 'confirmationToken does not match this call (the UIDs, folder or action differ from the dry run, or the server has restarted)';
+        }
+
+        if (Date.now() > expiresAt) {
+            return 'confirmationToken has expired, run the dry run again';
+        }
+
+        return null;
+    }
+
+    /**
+     * Helper: HMAC over the account, expiry and scope of a confirmation token
+     */
+    signConfirmation(expiresAt, scope) {
+        return crypto.createHmac('sha256', this.confirmationSecret)
+            .update(`${this.account.id}\n${expiresAt}\n${JSON.stringify(scope)}`)
+            .digest('base64url');
+    }
+
+    /**
+     * Helper: dryRun and confirmation options of a mutating tool call
+     */
+    mutationOptions(args) {
+        return {
+            dryRun: args?.dryRun === true,
+            confirmationToken: args?.confirmationToken || null,
+            requireConfirmation: this.requireConfirmation
+        };
+    }
+
+    /**
+     * Helper: Compress ascending UIDs into IMAP ranges ("1:5", "9") to keep commands short
+     */
+    toUidRanges(uids) {
+        const ranges = [];
+        let start = uids[0];
+        let end = uids[0];
+
+        for (const uid of uids.slice(1)) {
+            if (uid === end + 1) {
+                end = uid;
+                continue;
+            }
+            ranges.push(start === end ? String(start) : `${start}:${end}`);
+            start = end = uid;
+        }
+        if (uids.length > 0) {
+            ranges.push(start === end ? String(start) : `${start}:${end}`);
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Helper: Expand an IMAP UID set ("1:3,7" or a number) into UIDs, in order
+     */
+    expandUidSet(set) {
+        if (set === undefined || set === null) return [];
+
+        return String(set).split(',').flatMap(part => {
+            const [first, last = first] = part.split(':').map(Number);
+            const uids = [];
+            for (let uid = first; first <= last ? uid <= last : uid >= last; uid += first <= last ? 1 : -1) {
+                uids.push(uid);
+            }
+            return uids;
+        });
+    }
+
+    /**
+     * Helper: Capture the COPYUID response code (UIDPLUS) of MOVE commands run on imap
+     * MOVE reports COPYUID in an untagged OK, which node-imap drops, so this listens on its
+     * private parser (imap._parser of node-imap 0.8.17, pinned exactly in package.json; re-check it before upgrading).
+     * Without that parser, destination UIDs come only from the tagged COPYUID of the COPY fallback.
+     */
+    captureCopyUid(imap) {
+        const parser = imap._parser;
+        let copyUid = null;
+        const onUntagged = (info) => {
+            if (info.type === 'ok' && String(info.textCode?.key).toUpperCase() === 'COPYUID') {
+                copyUid = info.textCode.val;
+            }
+        };
+
+        if (typeof parser?.on === 'function') {
+            parser.on('untagged', onUntagged);
+        } else {
+            console.error('[Journal] node-imap parser not available, destination UIDs of MOVE will be unknown');
+        }
+
+        return {
+            // Forget the response of the previous command
+            reset: () => {
+                copyUid = null;
+            },
+            // Map each source UID of the last command to its destination UID in copies
+            record: (sources, destinationUids, copies) => {
+                // Tagged COPYUID (COPY fallback) only carries the destination set
+                const moved = copyUid ? this.expandUidSet(copyUid[1]) : sources;
+                const destinations = this.expandUidSet(copyUid ? copyUid[2] : destinationUids);
+                moved.forEach((uid, position) => {
+                    if (destinations[position] !== undefined) {
+                        copies.set(uid, { uid: destinations[position], uidValidity: copyUid ? copyUid[0] : null });
+                    }
+                });
+            },
+            dispose: () => {
+                parser?.removeListener?.('untagged', onUntagged);
+            }
+        };
+    }
+
+    /**
+     * Helper: Journal an operation that succeeded for some UIDs
+     * Flag changes only keep the UIDs whose state really changed, so undo doesn't clear
+     * a flag that was already set before
+     */
+    async recordOperation(journal, operationName, folder, box, uids, before, copies) {
+        const entry = {
+            description: operationName,
+            type: journal.type,
+            folder: folder,
+            uidValidity: box.uidvalidity,
+            uids: uids,
+            undoOf: journal.undoOf || null
+        };
+
+        if (journal.type === 'move') {
+            entry.destination = journal.destination;
+            entry.destinationUidValidity = [...copies.values()].find(copy => copy.uidValidity)?.uidValidity || null;
+            entry.moved = uids.map(uid => ({
+                uid: uid,
+                destinationUid: copies.get(uid)?.uid ?? null,
+                messageId: before.get(uid)?.messageId || null
+            }));
+        } else {
+            entry.action = journal.action;
+            entry.items = journal.items;
+            entry.keywords = journal.keywords || false;
+            entry.changes = uids
+                .map(uid => {
+                    if (!before.has(uid)) return { uid, items: journal.items };
+
+                    const flags = before.get(uid).flags.map(flag => flag.toLowerCase());
+                    const items = journal.items.filter(item =>
+                        flags.includes(item.toLowerCase()) === (journal.action === 'remove'));
+                    return { uid, items };
+                })
+                .filter(change => change.items.length > 0);
+        }
+
+        return this.operationJournal.record(entry);
+    }
+
+    /**
+     * Helper: Flags and Message-ID of each UID in the selected mailbox
+     */
+    async fetchJournalState(imap, uids) {
+        return new Promise((resolve, reject) => {
+            const fetch = imap.fetch(uids, { bodies: 'HEADER.FIELDS (MESSAGE-ID)' });
+            const state = new Map();
+
+            fetch.on('message', (msg) => {
+                let header = '';
+                let attrs = null;
+
+                msg.on('body', (stream) => {
+                    stream.on('data', (chunk) => {
+                        header += chunk.toString('ascii');
+                    });
+                });
+
+                msg.once('attributes', (attributes) => {
+                    attrs = attributes;
+                });
+
+                msg.once('end', () => {
+                    if (!attrs) return;
+                    state.set(attrs.uid, {
+                        flags: attrs.flags || [],
+                        messageId: Imap.parseHeader(header)['message-id']?.[0] || null
+                    });
+                });
+            });
+
+            fetch.once('error', reject);
+            fetch.once('end', () => resolve(state));
+        });
+    }
+
+    /**
+     * Helper method for reading multiple emails using UIDs
+     */
+    async readEmails(uids, folder = 'INBOX') {
+        // Validate input
+        const validationError = this.validateUIDs(uids);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError}`
+                }]
+            };
+        }
+
+        const imap = await this.imapPool.acquire();
+
+        let emails;
+        try {
+            emails = await this.fetchFullEmails(imap, uids, folder);
+        } finally {
+            this.imapPool.release(imap);
+        }
+
+        // Check for missing UIDs
+        const foundUIDs = new Set(emails.map(email => email.uid));
+        const missingUIDs = uids.filter(uid => !foundUIDs.has(uid));
+        if (missingUIDs.length > 0) {
+            throw new Error(
+                `UIDs not found: ${missingUIDs.join(', ')}. ` +
+                `Found ${emails.length} of ${uids.length} requested emails. ` +
+                `Missing UIDs may have been deleted or moved to another folder.`
+            );
+        }
+
+        // Sort by UID for consistent output
+        emails.sort((a, b) => a.uid - b.uid);
+
+        return {
+            content: [{
+                type: 'text',
+                text: emails.map(email => this.formatEmailText(email)).join('\n\n' + '='.repeat(80) + '\n\n')
+            }]
+        };
+    }
+
+    /**
+     * Helper: Fetch and parse full emails by UID on an already acquired connection
+     * @returns {Promise<Array>} Parsed emails (unsorted); UIDs that don't exist are simply absent
+     */
+    async fetchFullEmails(imap, uids, folder = 'INBOX') {
+        return new Promise((resolve, reject) => {
+            this.imapPool.openBox(imap, folder, true, (err, box) => {  // true = read-only mode
+                if (err) {
+                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                    return;
+                }
+
+                // CRITICAL: Use imap.fetch() (NOT imap.seq.fetch) for UID-based fetch
+                const fetch = imap.fetch(uids.join(','), {
+                    bodies: '',
+                    struct: true
+                });
+
+                // Parsing is async, so wait for every parse before resolving
+                const parses = [];
+
+                fetch.on('message', (msg, seqno) => {
+                    const chunks = [];
+                    let attrs = null;
+
+                    msg.on('body', (stream, info) => {
+                        stream.on('data', (chunk) => chunks.push(chunk));
+                    });
+
+                    msg.once('attributes', (attributes) => {
+                        attrs = attributes;
+                    });
+
+                    parses.push(new Promise((resolveParse) => {
+                        msg.once('end', () => {
+                            simpleParser(Buffer.concat(chunks), (err, parsed) => {
+                                if (err) {
+                                    console.error('Error parsing email:', err);
+                                    resolveParse(null);
+                                    return;
+                                }
+
+                                resolveParse({
+                                    uid: attrs.uid,
+                                    sequenceNumber: seqno,  // Still include for reference
+                                    folder: folder,
+                                    messageId: parsed.messageId || null,
+                                    inReplyTo: parsed.inReplyTo || null,
+                                    references: [].concat(parsed.references || []),
+                                    from: parsed.from?.text || 'Unknown',
+                                    to: parsed.to?.text || 'Unknown',
+                                    subject: parsed.subject || 'No Subject',
+                                    date: parsed.date || 'Unknown Date',
+                                    size: attrs.size || 0,
+                                    flags: attrs.flags || [],
+                                    hasAttachments: this.hasAttachments(attrs.struct),
+                                    content: parsed.text || parsed.html || 'No content available'
+                                });
+                            });
+                        });
+                    }));
+                });
+
+                fetch.once('error', reject);
+
+                fetch.once('end', () => {
+                    Promise.all(parses).then(emails => resolve(emails.filter(Boolean)));
+                });
+            });
+        });
+    }
+
+    /**
+     * Helper: Format a parsed email for read_email output
+     */
+    formatEmailText(email, showFolder = false) {
+        return `📧 Email UID: ${email.uid} (Seq #${email.sequenceNumber})\n\n` +
+            (showFolder ? `Folder: ${email.folder}\n` : '') +
+            `From: ${email.from}\n` +
+            `To: ${email.to}\n` +
+            `Subject: ${email.subject}\n` +
+            `Date: ${email.date}\n` +
+            `Size: ${email.size} bytes\n` +
+            `Flags: ${email.flags.join(', ') || 'None'}\n` +
+            `Has Attachments: ${email.hasAttachments ? 'Yes' : 'No'}\n\n` +
+            `--- Content ---\n` +
+            `${email.content}`;
+    }
+
+    /**
+     * Get every message in the same conversation, in chronological order
+     * Message-IDs from In-Reply-To/References are followed across folders until no new ones turn up
+     */
+    async getThread(uid, folder = 'INBOX', options = {}) {
+        const { useServerThreading = false, maxMessages = 50 } = options;
+        folder = folder || 'INBOX';
+
+        // Validate input
+        const validationError = this.validateUIDs([uid]);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError.replace('uids', 'uid')}`
+                }]
+            };
+        }
+
+        const imap = await this.imapPool.acquire();
+        const found = new Map();  // "folder:uid" -> email
+        const seenIds = new Set();
+        const searchedFolders = [];
+
+        const addEmails = (emails) => {
+            const newIds = [];
+            for (const email of emails) {
+                found.set(`${email.folder}:${email.uid}`, email);
+                for (const id of [email.messageId, email.inReplyTo, ...email.references]) {
+                    if (id && !seenIds.has(id)) {
+                        seenIds.add(id);
+                        newIds.push(id);
+                    }
+                }
+            }
+            return newIds;
+        };
+
+        try {
+            const [original] = await this.fetchFullEmails(imap, [uid], folder);
+            if (!original) {
+                throw new Error(`UID not found: ${uid}. It may have been deleted or moved to another folder.`);
+            }
+
+            let frontier = addEmails([original]);
+
+            // Server-side threading also catches replies that lost their References header
+            if (useServerThreading && imap.serverSupports('THREAD=REFERENCES')) {
+                const threadUids = (await this.findServerThread(imap, folder, uid))
+                    .filter(threadUid => !found.has(`${folder}:${threadUid}`));
+                if (threadUids.length > 0) {
+                    frontier.push(...addEmails(await this.fetchFullEmails(imap, threadUids, folder)));
+                }
+            }
+
+            const sentFolder = await this.findSpecialFolder(imap, '\\Sent', 'Sent');
+            const archiveFolder = await this.findSpecialFolder(imap, '\\Archive', 'Archive');
+            const folders = [...new Set([folder, 'INBOX', sentFolder, archiveFolder])];
+
+            while (frontier.length > 0 && found.size < maxMessages) {
+                const nextFrontier = [];
+
+                for (const searchFolder of folders) {
+                    let uids;
+                    try {
+                        uids = await this.searchByMessageIds(imap, searchFolder, frontier);
+                    } catch (err) {
+                        // Archive/Sent may not exist on every account
+                        console.error(`[Thread] Skipping folder "${searchFolder}":`, err.message);
+                        continue;
+                    }
+                    if (!searchedFolders.includes(searchFolder)) searchedFolders.push(searchFolder);
+
+                    const newUids = uids
+                        .filter(candidate => !found.has(`${searchFolder}:${candidate}`))
+                        .slice(0, Math.max(0, maxMessages - found.size));
+                    if (newUids.length > 0) {
+                        nextFrontier.push(...addEmails(await this.fetchFullEmails(imap, newUids, searchFolder)));
+                    }
+                }
+
+                frontier = nextFrontier;
+            }
+        } finally {
+            this.imapPool.release(imap);
+        }
+
+        // The same message can live in several folders (e.g. a copy in Archive); keep one
+        const byMessageId = new Map();
+        for (const email of found.values()) {
+            const key = email.messageId || `${email.folder}:${email.uid}`;
+            if (!byMessageId.has(key) || email.folder === folder) {
+                byMessageId.set(key, email);
+            }
+        }
+
+        const timeOf = (email) => (email.date instanceof Date ? email.date.getTime() : 0);
+        const thread = [...byMessageId.values()].sort((a, b) => timeOf(a) - timeOf(b));
+
+        const header = `🧵 Thread: ${thread.length} message(s) ` +
+            `(searched: ${searchedFolders.join(', ')})`;
+
+        return {
+            content: [{
+                type: 'text',
+                text: header + '\n\n' + '='.repeat(80) + '\n\n' +
+                    thread.map(email => this.formatEmailText(email, true)).join('\n\n' + '='.repeat(80) + '\n\n')
+            }]
+        };
+    }
+
+    /**
+     * Helper: Search a folder for messages whose Message-ID, In-Reply-To or References mention any of the IDs
+     */
+    async searchByMessageIds(imap, folder, messageIds) {
+        const uids = new Set();
+
+        // Keep each SEARCH command a reasonable size
+        for (let i = 0; i < messageIds.length; i += 10) {
+            const criteria = this.buildOrCriteria(messageIds.slice(i, i + 10).flatMap(id => [
+                ['HEADER', 'MESSAGE-ID', id],
+                ['HEADER', 'IN-REPLY-TO', id],
+                ['HEADER', 'REFERENCES', id]
+            ]));
+
+            const results = await new Promise((resolve, reject) => {
+                this.imapPool.openBox(imap, folder, true, (err) => {
+                    if (err) {
+                        reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                        return;
+                    }
+
+                    imap.search([criteria], (err, results) => {
+                        if (err) {
+                            reject(err);
+                            return;
+                        }
+                        resolve(results || []);
+                    });
+                });
+            });
+
+            results.forEach(result => uids.add(result));
+        }
+
+        return [...uids];
+    }
+
+    /**
+     * Helper: Find the UIDs in the same server-side thread (IMAP THREAD=REFERENCES) as a message
+     */
+    async findServerThread(imap, folder, uid) {
+        return new Promise((resolve, reject) => {
+            this.imapPool.openBox(imap, folder, true, (err) => {
+                if (err) {
+                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                    return;
+                }
+
+                imap.thread('REFERENCES', ['ALL'], (err, threads) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    // Each top-level entry is one thread: nested arrays of UIDs
+                    const flatten = (node) => (Array.isArray(node) ? node.flatMap(flatten) : [node]);
+                    const thread = (threads || []).map(flatten).find(uids => uids.includes(uid));
+                    resolve(thread || []);
+                });
+            });
+        });
+    }
+
+    /**
+     * List attachments of an email from its BODYSTRUCTURE
+     */
+    async listAttachments(uid, folder = 'INBOX') {
+        // Validate input
+        const validationError = this.validateUIDs([uid]);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError.replace('uids', 'uid')}`
+                }]
+            };
+        }
+
+        const imap = await this.imapPool.acquire();
+
+        return new Promise((resolve, reject) => {
+            this.imapPool.openBox(imap, folder, true, (err, box) => {  // true = read-only mode
+                if (err) {
+                    this.imapPool.release(imap);
+                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                    return;
+                }
+
+                const fetch = imap.fetch(uid.toString(), { struct: true });
+                let struct = null;
+
+                fetch.on('message', (msg) => {
+                    msg.once('attributes', (attributes) => {
+                        struct = attributes.struct;
+                    });
+                });
+
+                fetch.once('error', (err) => {
+                    this.imapPool.release(imap);
+                    reject(err);
+                });
+
+                fetch.once('end', () => {
+                    this.imapPool.release(imap);
+
+                    if (!struct) {
+                        reject(new Error(`UID not found: ${uid}. It may have been deleted or moved to another folder.`));
+                        return;
+                    }
+
+                    const attachments = this.collectAttachmentParts(struct).map(part => ({
+                        partId: part.partID,
+                        filename: this.getPartFilename(part),
+                        mimeType: `${part.type}/${part.subtype}`,
+                        size: part.size || 0,
+                        encoding: part.encoding,
+                        contentId: part.id || null,
+                        disposition: part.disposition?.type?.toLowerCase() || null
+                    }));
+
+                    resolve({
+                        content: [{
+                            type: 'text',
+                            text: JSON.stringify({
+                                uid: uid,
+                                folder: folder,
+                                attachments: attachments,
+                                count: attachments.length
+                            }, null, 2)
+                        }]
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Fetch a single attachment body part and return it embedded or saved to disk
+     */
+    async getAttachment(uid, partId, folder = 'INBOX', saveToDisk = false) {
+        // Validate input
+        const validationError = this.validateUIDs([uid]);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError.replace('uids', 'uid')}`
+                }]
+            };
+        }
+
+        if (typeof partId !== 'string' || !/^\d+(\.\d+)*$/.test(partId)) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: partId must be a part ID like "2" or "1.2" (use list_attachments to find it)'
+                }]
+            };
+        }
+
+        folder = folder || 'INBOX';
+        const imap = await this.imapPool.acquire();
+
+        const { part, data } = await new Promise((resolve, reject) => {
+            this.imapPool.openBox(imap, folder, true, (err, box) => {  // true = read-only mode
+                if (err) {
+                    this.imapPool.release(imap);
+                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                    return;
+                }
+
+                // Fetch only the requested part, plus the structure to know its encoding
+                const fetch = imap.fetch(uid.toString(), { bodies: [partId], struct: true });
+                const chunks = [];
+                let struct = null;
+
+                fetch.on('message', (msg) => {
+                    msg.on('body', (stream) => {
+                        stream.on('data', (chunk) => chunks.push(chunk));
+                    });
+
+                    msg.once('attributes', (attributes) => {
+                        struct = attributes.struct;
+                    });
+                });
+
+                fetch.once('error', (err) => {
+                    this.imapPool.release(imap);
+                    reject(err);
+                });
+
+                fetch.once('end', () => {
+                    this.imapPool.release(imap);
+
+                    if (!struct) {
+                        reject(new Error(`UID not found: ${uid}. It may have been deleted or moved to another folder.`));
+                        return;
+                    }
+
+                    const part = this.findStructPart(struct, partId);
+                    if (!part) {
+                        reject(new Error(`Part ${partId} not found in email UID ${uid}. Use list_attachments to see valid part IDs.`));
+                        return;
+                    }
+
+                    resolve({ part, data: this.decodePartBody(Buffer.concat(chunks), part.encoding) });
+                });
+            });
+        });
+
+        const filename = this.getPartFilename(part) || `part-${partId}`;
+        const mimeType = `${part.type}/${part.subtype}`;
+        const metadata = {
+            uid: uid,
+            partId: partId,
+            folder: folder,
+            filename: filename,
+            mimeType: mimeType,
+            size: data.length
+        };
+
+        if (saveToDisk) {
+            const downloadDir = path.resolve(process.env.ATTACHMENT_DOWNLOAD_DIR || './downloads');
+            // Prefix with UID/part so attachments with the same name don't overwrite each other
+            const safeName = path.basename(filename).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+            const filePath = path.join(downloadDir, `${uid}-${partId}-${safeName}`);
+
+            await fs.mkdir(downloadDir, { recursive: true });
+            await fs.writeFile(filePath, data);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({ ...metadata, savedTo: filePath }, null, 2)
+                }]
+            };
+        }
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: JSON.stringify(metadata, null, 2)
+                },
+                {
+                    type: 'resource',
+                    resource: {
+                        uri: this.buildResourceUri(folder, uid, partId),
+                        mimeType: mimeType,
+                        blob: data.toString('base64')
+                    }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Start an IDLE watcher on a folder and forward its changes as MCP notifications
+     */
+    async watchFolder(folder = 'INBOX') {
+        // An explicit watch keeps the watcher running after resource subscriptions end
+        this.subscriptionWatchers.delete(folder);
+
+        if (!this.watchers.has(folder)) {
+            // Reconnects happen outside the tool call, so bind the account now
+            const account = this.account;
+            const watcher = new FolderWatcher(
+                folder,
+                () => this.createImapConnection(account),
+                (imap, source) => this.fetchEmailMetadata(imap, source)
+            );
+
+            for (const event of ['new_messages', 'flags_changed', 'expunged']) {
+                watcher.on(event, (payload) => {
+                    this.broadcastNotification({ ...payload, account: account.id });
+                    if (account.id === this.defaultAccountId) {
+                        this.notifyResourceSubscribers(payload);
+                    }
+                });
+            }
+
+            // Register before connecting so concurrent calls don't start a second watcher
+            this.watchers.set(folder, watcher);
+            try {
+                await watcher.start();
+            } catch (err) {
+                this.watchers.delete(folder);
+                watcher.stop();
+                throw err;
+            }
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    folder: folder,
+                    watching: true,
+                    watchedFolders: [...this.watchers.keys()]
+                }, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Stop the IDLE watcher on a folder
+     */
+    async unwatchFolder(folder) {
+        if (!folder) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: folder is required'
+                }]
+            };
+        }
+
+        const watcher = this.watchers.get(folder);
+        if (!watcher) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: folder "${folder}" is not being watched. Watched folders: ${[...this.watchers.keys()].join(', ') || 'none'}`
+                }]
+            };
+        }
+
+        watcher.stop();
+        this.watchers.delete(folder);
+        this.subscriptionWatchers.delete(folder);
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    folder: folder,
+                    watching: false,
+                    watchedFolders: [...this.watchers.keys()]
+                }, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Start watchers for folders listed in IMAP_WATCH_FOLDERS (default: INBOX)
+     */
+    async startConfiguredWatchers() {
+        for (const account of this.accounts.values()) {
+            if (account.watchFolders.length === 0) continue;
+
+            if (!this.hasCredentials(account)) {
+                console.error(`[Watch] Credentials not configured for account "${account.id}", not watching any folders`);
+                continue;
+            }
+
+            await this.accountContext.run(account, async () => {
+                for (const folder of account.watchFolders) {
+                    try {
+                        await this.watchFolder(folder);
+                    } catch (err) {
+                        console.error(`[Watch] Failed to watch "${folder}" (account "${account.id}"):`, err.message);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Push a mailbox change to every connected client as a logging notification
+     */
+    broadcastNotification(data) {
+        this.sendToClients({
+            method: 'notifications/message',
+            params: {
+                level: 'info',
+                logger: 'yahoo-mail',
+                data: data
+            }
+        });
+    }
+
+    /**
+     * Send notifications/resources/updated for subscribed URIs affected by a folder change
+     */
+    notifyResourceSubscribers(change) {
+        const uris = [this.buildResourceUri(change.folder)];
+        if (change.uid) {
+            uris.push(this.buildResourceUri(change.folder, change.uid));
+        }
+
+        for (const uri of uris) {
+            if (this.resourceSubscriptions.has(uri)) {
+                this.sendToClients({
+                    method: 'notifications/resources/updated',
+                    params: { uri }
+                });
+            }
+        }
+    }
+
+    /**
+     * Send a notification on every open transport
+     * SSE sessions each have their own transport; stdio has the single server connection
+     */
+    sendToClients(notification) {
+        if (this.transports.size > 0) {
+            for (const [sessionId, transport] of this.transports) {
+                transport.send({ jsonrpc: '2.0', ...notification }).catch((err) => {
+                    console.error(`[Notify] Failed to notify session ${sessionId}:`, err.message);
+                });
+            }
+            return;
+        }
+
+        this.server.notification(notification).catch((err) => {
+            console.error('[Notify] Failed to send notification:', err.message);
+        });
+    }
+
+    /**
+     * Prompt: triage unread mail in a folder
+     */
+    async buildTriagePrompt(args) {
+        const folder = args.folder || 'INBOX';
+        const count = Math.min(parseInt(args.count || '20', 10) || 20, 50);
+        const results = await this.unwrapToolResult(() => this.searchEmails('', { count, unreadOnly: true, folder }));
+
+        return {
+            description: `Triage unread emails in ${folder}`,
+            messages: [
+                {
+                    role: 'user',
+                    content: {
+                        type: 'text',
+                        text: `Triage my unread email in "${folder}". The ${count} most recent unread emails are below (from search_emails).\n\n` +
+                            'For each email, give a one-line summary and put it in one category: ' +
+                            'Needs reply, Action required, FYI, Newsletter/promotional, or Spam/junk. ' +
+                            'Then propose concrete actions grouped by tool, using the UIDs: ' +
+                            'flag_emails for important items, archive_emails for FYI and newsletters, delete_emails for junk, ' +
+                            'and reply_to_email or create_draft for anything needing a reply. ' +
+                            'Use read_email when a subject and sender are not enough to decide. ' +
+                            'Do not run any mutating tool until I confirm the plan.'
+                    }
+                },
+                {
+                    role: 'user',
+                    content: { type: 'text', text: results }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Prompt: summarize unread mail from one sender
+     */
+    async buildSenderSummaryPrompt(args) {
+        if (!args.sender) {
+            throw new Error('sender argument is required');
+        }
+
+        const folder = args.folder || 'INBOX';
+        const results = await this.unwrapToolResult(() => this.searchEmails('', {
+            count: 10,
+            sender: args.sender,
+            unreadOnly: true,
+            folder
+        }));
+
+        const uids = JSON.parse(results).emails.map(email => email.uid);
+        const messages = [
+            {
+                role: 'user',
+                content: {
+                    type: 'text',
+                    text: `Summarize my unread email from "${args.sender}" in "${folder}". ` +
+                        (uids.length > 0
+                            ? `The ${uids.length} most recent unread emails are included below (from read_email). `
+                            : 'There are no unread emails from this sender; say so. ') +
+                        'Give an overall summary first, then key points, decisions and deadlines per email (cite UIDs). ' +
+                        'End with any replies or follow-ups I should make.'
+                }
+            }
+        ];
+
+        if (uids.length > 0) {
+            const emails = await this.unwrapToolResult(() => this.readEmails(uids, folder));
+            messages.push({
+                role: 'user',
+                content: { type: 'text', text: emails }
+            });
+        }
+
+        return {
+            description: `Summary of unread emails from ${args.sender}`,
+            messages: messages
+        };
+    }
+
+    /**
+     * Prompt: draft a reply to one email
+     */
+    async buildDraftReplyPrompt(args) {
+        const uid = parseInt(args.uid, 10);
+        if (!uid || uid <= 0) {
+            throw new Error('uid argument is required and must be a positive integer');
+        }
+
+        const folder = args.folder || 'INBOX';
+        const email = await this.unwrapToolResult(() => this.readEmails([uid], folder));
+
+        return {
+            description: `Draft a reply to email UID ${uid}`,
+            messages: [
+                {
+                    role: 'user',
+                    content: {
+                        type: 'resource',
+                        resource: {
+                            uri: this.buildResourceUri(folder, uid),
+                            mimeType: 'text/plain',
+                            text: email
+                        }
+                    }
+                },
+                {
+                    role: 'user',
+                    content: {
+                        type: 'text',
+                        text: `Draft a reply to the email above (UID ${uid} in "${folder}"). ` +
+                            (args.instructions ? `Instructions: ${args.instructions}\n\n` : '') +
+                            'Match the tone of the original, answer every question it asks, and keep it concise. ' +
+                            'Show me the draft first. When I approve it, send it with reply_to_email ' +
+                            `({ uid: ${uid}, folder: "${folder}" }) so threading headers are set, ` +
+                            'and use replyAll if other recipients should stay on the thread.'
+                    }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Prompt: clean up newsletters older than N days
+     */
+    async buildNewsletterCleanupPrompt(args) {
+        const days = parseInt(args.days || '30', 10);
+        if (!days || days < 1) {
+            throw new Error('days argument must be a positive integer');
+        }
+
+        const folder = args.folder || 'INBOX';
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const results = await this.unwrapToolResult(() => this.searchEmails('', {
+            count: 50,
+            dateTo: cutoff.toISOString(),
+            folder
+        }));
+
+        return {
+            description: `Clean up newsletters older than ${days} days in ${folder}`,
+            messages: [
+                {
+                    role: 'user',
+                    content: {
+                        type: 'text',
+                        text: `Help me clean up newsletters and promotional email older than ${days} days ` +
+                            `(before ${cutoff.toISOString().split('T')[0]}) in "${folder}". ` +
+                            'The 50 most recent emails before that date are below (from search_emails).\n\n' +
+                            'Identify the newsletters and promotions by sender and subject, grouped by sender with counts. ' +
+                            'Leave personal mail, receipts, and anything flagged alone. ' +
+                            'Propose archive_emails (or delete_emails for obvious junk) calls with the UIDs, ' +
+                            'and use search_emails with the sender filter to find more from the same senders. ' +
+                            'Do not run any mutating tool until I confirm.'
+                    }
+                },
+                {
+                    role: 'user',
+                    content: { type: 'text', text: results }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Helper: Run a tool method and return its text, turning "Error: ..." results into exceptions
+     * Used where tool output is reused outside a tool call (prompts, resources)
+     */
+    async unwrapToolResult(query) {
+        const result = await query();
+        const text = result.content[0].text;
+
+        if (text.startsWith('Error:')) {
+            throw new Error(text.substring('Error: '.length));
+        }
+
+        return text;
+    }
+
+    /**
+     * Mark emails as read
+     */
+    async markAsRead(uids, folder = 'INBOX', options = {}) {
+        return this.modifyEmails(
+            uids,
+            (imap, source, callback) => imap.addFlags(source, '\\Seen', callback),  // NO .seq
+            'marked as read',
+            folder,
+            { type: 'flags', action: 'add', items: ['\\Seen'] },
+            options
+        );
+    }
+
+    /**
+     * Mark emails as unread
+     */
+    async markAsUnread(uids, folder = 'INBOX', options = {}) {
+        return this.modifyEmails(
+            uids,
+            (imap, source, callback) => imap.delFlags(source, '\\Seen', callback),  // NO .seq
+            'marked as unread',
+            folder,
+            { type: 'flags', action: 'remove', items: ['\\Seen'] },
+            options
+        );
+    }
+
+    /**
+     * Flag emails as important/starred
+     */
+    async flagEmails(uids, folder = 'INBOX', options = {}) {
+        return this.modifyEmails(
+            uids,
+            (imap, source, callback) => imap.addFlags(source, '\\Flagged', callback),  // NO .seq
+            'flagged',
+            folder,
+            { type: 'flags', action: 'add', items: ['\\Flagged'] },
+            options
+        );
+    }
+
+    /**
+     * Remove flag/star from emails
+     */
+    async unflagEmails(uids, folder = 'INBOX', options = {}) {
+        return this.modifyEmails(
+            uids,
+            (imap, source, callback) => imap.delFlags(source, '\\Flagged', callback),  // NO .seq
+            'unflagged',
+            folder,
+            { type: 'flags', action: 'remove', items: ['\\Flagged'] },
+            options
+        );
+    }
+
+    /**
+     * Add labels (IMAP keywords such as $Todo) to emails
+     */
+    async addLabels(uids, labels, folder = 'INBOX', options = {}) {
+        const labelError = this.validateLabels(labels);
+        if (labelError) return labelError;
+
+        const validationError = this.validateUIDs(uids);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError}`
+                }]
+            };
+        }
+
+        // Keywords the folder can't store would be silently dropped by some servers
+        // (read-only here; modifyEmails opens the folder read-write right before the STORE)
+        const imap = await this.imapPool.acquire();
+        let box;
+        try {
+            box = await this.openFolder(imap, folder, true);
+        } finally {
+            this.imapPool.release(imap);
+        }
+
+        const support = this.describeLabelSupport(box);
+        if (!support.canCreateLabels) {
+            const known = support.permanentLabels.map(label => label.toLowerCase());
+            const unsupported = labels.filter(label => !known.includes(label.toLowerCase()));
+            if (unsupported.length > 0) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: "${folder}" does not allow new labels (${unsupported.join(', ')}). ` +
+                              `Labels it supports: ${support.permanentLabels.join(', ') || 'none'}`
+                    }]
+                };
+            }
+        }
+
+        return this.modifyEmails(
+            uids,
+            (imap, source, callback) => imap.addKeywords(source, labels, callback),  // NO .seq
+            `added label(s) ${labels.join(', ')} to`,
+            folder,
+            { type: 'flags', action: 'add', items: labels, keywords: true },
+            options
+        );
+    }
+
+    /**
+     * Remove labels (IMAP keywords) from emails
+     */
+    async removeLabels(uids, labels, folder = 'INBOX', options = {}) {
+        const labelError = this.validateLabels(labels);
+        if (labelError) return labelError;
+
+        return this.modifyEmails(
+            uids,
+            (imap, source, callback) => imap.delKeywords(source, labels, callback),  // NO .seq
+            `removed label(s) ${labels.join(', ')} from`,
+            folder,
+            { type: 'flags', action: 'remove', items: labels, keywords: true },
+            options
+        );
+    }
+
+    /**
+     * List the labels (IMAP keywords) a folder, or every folder, supports
+     * Folders are EXAMINEd (read-only), which reports PERMANENTFLAGS too without clearing \Recent
+     */
+    async listLabels(folder = null, counts = false) {
+        const imap = await this.imapPool.acquire();
+
+        try {
+            const names = folder
+                ? [folder]
+                : (await this.getFolderTree(imap)).folders.filter(f => f.selectable).map(f => f.name);
+            const folders = [];
+
+            for (const name of names) {
+                let box;
+                try {
+                    box = await this.openFolder(imap, name, true);
+                } catch (error) {
+                    if (folder) throw error;
+                    folders.push({ folder: name, error: error.message });
+                    continue;
+                }
+
+                const support = this.describeLabelSupport(box);
+                if (counts) {
+                    support.counts = {};
+                    for (const label of support.labels) {
+                        support.counts[label] = (await this.runImapSearch(imap, [['KEYWORD', label]])).length;
+                    }
+                }
+                folders.push({ folder: name, ...support });
+            }
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({ folders }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Helper: Labels of an opened mailbox from its FLAGS and PERMANENTFLAGS
+     */
+    describeLabelSupport(box) {
+        const isKeyword = (flag) => !flag.startsWith('\\');
+        const permanentLabels = (box.keywords || []).filter(isKeyword);
+
+        return {
+            labels: [...new Set([...(box.flags || []).filter(isKeyword), ...permanentLabels])],
+            permanentLabels: permanentLabels,
+            canCreateLabels: Boolean(box.newKeywords),
+            systemFlags: (box.permFlags || []).filter(flag => !isKeyword(flag))
+        };
+    }
+
+    /**
+     * Helper: Error response for a missing or invalid labels argument, otherwise null
+     */
+    validateLabels(labels) {
+        let message = null;
+        if (!Array.isArray(labels) || labels.length === 0) {
+            message = 'labels must be a non-empty array of label names (e.g. ["$Todo"])';
+        } else {
+            const invalid = this.findInvalidKeyword(labels);
+            if (invalid !== undefined) {
+                message = `invalid label "${invalid}": labels can't contain spaces, backslashes or any of ( ) ] { % * "`;
+            }
+        }
+
+        return message && {
+            content: [{
+                type: 'text',
+                text: `Error: ${message}`
+            }]
+        };
+    }
+
+    /**
+     * Helper: First entry that isn't a valid IMAP keyword (atom), or undefined
+     */
+    findInvalidKeyword(keywords) {
+        return keywords.find(keyword =>
+            typeof keyword !== 'string' || keyword.length === 0 || /[\x00-\x20\x7f()\]{%*"\\]/.test(keyword));
+    }
+
+    /**
+     * Delete emails (move to Trash)
+     */
+    async deleteEmails(uids, folder = 'INBOX', options = {}) {
+        return this.modifyEmails(
+            uids,
+            (imap, source, callback) => imap.move(source, 'Trash', callback),  // NO .seq
+            'moved to Trash',
+            folder,
+            { type: 'move', destination: 'Trash' },
+            options
+        );
+    }
+
+    /**
+     * Archive emails
+     */
+    async archiveEmails(uids, folder = 'INBOX', options = {}) {
+        return this.modifyEmails(
+            uids,
+            (imap, source, callback) => imap.move(source, 'Archive', callback),  // NO .seq
+            'archived',
+            folder,
+            { type: 'move', destination: 'Archive' },
+            options
+        );
+    }
+
+    /**
+     * Move emails to a specific folder
+     */
+    async moveEmails(uids, folderName, sourceFolder = 'INBOX', options = {}) {
+        return this.modifyEmails(
+            uids,
+            (imap, source, callback) => imap.move(source, folderName, callback),  // NO .seq
+            `moved to ${folderName}`,
+            sourceFolder,
+            { type: 'move', destination: folderName },
+            options
+        );
+    }
+
+    /**
+     * Archive every email matching search criteria (chunked UID MOVE)
+     */
+    async archiveMatching(args = {}, options = {}) {
+        return this.modifyMatching(
+            args,
+            (imap, uidSet, callback) => imap.move(uidSet, 'Archive', callback),
+            'archived',
+            { type: 'move', destination: 'Archive' },
+            options
+        );
+    }
+
+    /**
+     * Move every email matching search criteria to Trash (chunked UID MOVE)
+     */
+    async deleteMatching(args = {}, options = {}) {
+        return this.modifyMatching(
+            args,
+            (imap, uidSet, callback) => imap.move(uidSet, 'Trash', callback),
+            'moved to Trash',
+            { type: 'move', destination: 'Trash' },
+            options
+        );
+    }
+
+    /**
+     * Move every email matching search criteria to a folder (chunked UID MOVE)
+     */
+    async moveMatching(args = {}, options = {}) {
+        if (!args.folderName || typeof args.folderName !== 'string') {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: folderName is required'
+                }]
+            };
+        }
+
+        return this.modifyMatching(
+            args,
+            (imap, uidSet, callback) => imap.move(uidSet, args.folderName, callback),
+            `moved to ${args.folderName}`,
+            { type: 'move', destination: args.folderName },
+            options
+        );
+    }
+
+    /**
+     * Mark every email matching search criteria as read (chunked UID STORE)
+     */
+    async markMatchingRead(args = {}, options = {}) {
+        return this.modifyMatching(
+            args,
+            (imap, uidSet, callback) => imap.addFlags(uidSet, '\\Seen', callback),
+            'marked as read',
+            { type: 'flags', action: 'add', items: ['\\Seen'] },
+            options
+        );
+    }
+
+    /**
+     * Helper for the *_matching bulk tools: search with search_emails criteria, then run the
+     * operation once per chunk of UIDs (a UID set in a single command) instead of once per email
+     * Failures are reported per chunk; successful chunks are journaled like modifyEmails
+     * options.exactSender keeps only emails whose From address is exactly that (lowercase) address
+     */
+    async modifyMatching(args, operation, operationName, journal, options = {}) {
+        const { folder: folderArg, folderName, limit, dryRun, confirmationToken, account, query = '', ...criteria } = args;
+
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: limit must be a positive integer'
+                }]
+            };
+        }
+
+        const parsed = this.parseSearchQuery(query);
+        if (parsed.folder && folderArg && parsed.folder !== folderArg) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: query says in:${parsed.folder} but folder is "${folderArg}" - use only one of them`
+                }]
+            };
+        }
+
+        const folder = parsed.folder || folderArg || 'INBOX';
+        const filters = this.buildSearchFilters(parsed, criteria);
+        const compiled = this.compileSearchCriteria(filters, true);
+
+        // Never act on a whole folder by accident
+        if (compiled && compiled.length === 0 && (filters.hasAttachment === undefined || filters.hasAttachment === null)) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: at least one search criterion is required (e.g. query: "from:deals@shop.com older_than:30d")'
+                }]
+            };
+        }
+
+        const chunkSize = parseInt(process.env.BULK_CHUNK_SIZE || '500', 10);
+        const imap = await this.imapPool.acquire();
+
+        try {
+            const box = await this.openFolder(imap, folder, Boolean(options.dryRun));
+            let uids = await this.findMatchingUids(imap, filters);
+            if (options.exactSender && uids.length > 0) {
+                // sender matches substrings (deals@shop.com also finds hotdeals@shop.com.example)
+                uids = (await this.fetchListHeaders(imap, this.toUidRanges(uids)))
+                    .filter(email => email.sender.address === options.exactSender)
+                    .map(email => email.uid)
+                    .sort((a, b) => a - b);
+            }
+            const totalMatches = uids.length;
+            if (limit !== undefined) {
+                uids = uids.slice(-limit);  // newest first
+            }
+
+            // Tokens vouch for the emails the dry run previewed, so mail matching after it needs a new dry run
+            const scope = {
+                operation: operationName,
+                folder: folder,
+                filters: filters,
+                limit: limit ?? null,
+                uidValidity: box.uidvalidity,
+                uids: this.toUidRanges(uids)
+            };
+            if (!options.dryRun && (options.requireConfirmation || options.confirmationToken)) {
+                const confirmationError = this.validateConfirmation(options.confirmationToken, scope);
+                if (confirmationError) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error: ${confirmationError}`
+                        }]
+                    };
+                }
+            }
+
+            const chunks = [];
+            for (let i = 0; i < uids.length; i += chunkSize) {
+                chunks.push(uids.slice(i, i + chunkSize));
+            }
+
+            if (options.dryRun) {
+                const sample = uids.length > 0 ? await this.fetchEmailMetadata(imap, uids.slice(-20)) : [];
+                const { token, expiresAt } = this.createConfirmationToken(scope);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: JSON.stringify({
+                            dryRun: true,
+                            operation: operationName,
+                            folder: folder,
+                            totalMatches: totalMatches,
+                            wouldProcess: uids.length,
+                            chunks: chunks.length,
+                            chunkSize: chunkSize,
+                            sample: sample
+                                .sort((a, b) => b.uid - a.uid)
+                                .map(email => ({ uid: email.uid, from: email.from, subject: email.subject, date: email.date, flags: email.flags })),
+                            confirmationToken: token,
+                            confirmationExpiresAt: expiresAt,
+                            confirmationRequired: this.requireConfirmation
+                        }, null, 2)
+                    }]
+                };
+            }
+
+            const copyUid = journal.type === 'move' ? this.captureCopyUid(imap) : null;
+
+            const results = [];
+            const succeeded = [];
+            const failed = [];
+            const before = new Map();
+            const copies = new Map();
+
+            try {
+                for (const [index, chunk] of chunks.entries()) {
+                    try {
+                        const state = await this.fetchJournalState(imap, this.toUidRanges(chunk));
+                        state.forEach((value, uid) => before.set(uid, value));
+                    } catch (error) {
+                        console.error('[Journal] Could not read message state before the change:', error.message);
+                    }
+
+                    copyUid?.reset();
+                    const error = await new Promise((resolve) => {
+                        try {
+                            operation(imap, this.toUidRanges(chunk), (err, destinationUids) => {
+                                if (!err) {
+                                    copyUid?.record(chunk, destinationUids, copies);
+                                }
+                                resolve(err || null);
+                            });
+                        } catch (err) {
+                            resolve(err);
+                        }
+                    });
+
+                    if (error) {
+                        console.error(`[Bulk] Chunk ${index + 1}/${chunks.length} failed to ${operationName}:`, error.message);
+                        failed.push(...chunk);
+                    } else {
+                        succeeded.push(...chunk);
+                    }
+
+                    results.push({
+                        chunk: index + 1,
+                        count: chunk.length,
+                        firstUid: chunk[0],
+                        lastUid: chunk[chunk.length - 1],
+                        status: error ? 'failed' : 'done',
+                        ...(error && { error: error.message, uids: chunk })
+                    });
+                }
+            } finally {
+                copyUid?.dispose();
+            }
+
+            let operationId = null;
+            if (succeeded.length > 0) {
+                try {
+                    operationId = (await this.recordOperation(journal, operationName, folder, box, succeeded, before, copies)).id;
+                } catch (error) {
+                    console.error('[Journal] Failed to record operation:', error.message);
+                }
+            }
+
+            if (uids.length > 0 && succeeded.length === 0) {
+                throw new Error(`Failed to ${operationName} any of ${uids.length} matching email(s): ${results[0].error}`);
+            }
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        operation: operationName,
+                        folder: folder,
+                        totalMatches: totalMatches,
+                        processed: uids.length,
+                        succeeded: succeeded.length,
+                        failed: failed.length,
+                        chunks: results,
+                        ...(failed.length > 0 && { failedUids: failed }),
+                        operationId: operationId
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Permanently delete emails: set \Deleted, then UID EXPUNGE only these UIDs
+     * Two steps: without a confirmationToken (or with dryRun) the emails are only listed and a token
+     * is returned; the same call with that token deletes them. Not journaled - this can't be undone
+     */
+    async expungeEmails(uids, folder = 'INBOX', options = {}) {
+        const validationError = this.validateUIDs(uids);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError}`
+                }]
+            };
+        }
+
+        const disabledError = this.checkPermanentDelete();
+        if (disabledError) return disabledError;
+
+        const targets = [...new Set(uids)].sort((a, b) => a - b);
+        const scope = { operation: 'permanently deleted', folder: folder, uids: targets };
+        const preview = options.dryRun || !options.confirmationToken;
+
+        if (!preview) {
+            const confirmationError = this.validateConfirmation(options.confirmationToken, scope);
+            if (confirmationError) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: ${confirmationError}`
+                    }]
+                };
+            }
+        }
+
+        const imap = await this.imapPool.acquire();
+
+        try {
+            await this.openFolder(imap, folder, preview);
+            const uidSet = this.toUidRanges(targets);
+            const existing = await this.runImapSearch(imap, [['UID', uidSet.join(',')]]);
+            const notFound = targets.filter(uid => !existing.includes(uid));
+
+            if (preview) {
+                const emails = existing.length > 0 ? await this.fetchEmailMetadata(imap, this.toUidRanges(existing)) : [];
+                const { token, expiresAt } = this.createConfirmationToken(scope);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: JSON.stringify({
+                            dryRun: true,
+                            operation: 'permanently deleted',
+                            folder: folder,
+                            wouldDelete: emails.length,
+                            totalBytes: emails.reduce((sum, email) => sum + email.size, 0),
+                            emails: emails
+                                .sort((a, b) => a.uid - b.uid)
+                                .map(email => ({ uid: email.uid, from: email.from, subject: email.subject, date: email.date, size: email.size })),
+                            notFound: notFound,
+                            warning: 'Permanent deletion cannot be undone. Call expunge_emails again with the same uids and folder plus this confirmationToken to delete.',
+                            confirmationToken: token,
+                            confirmationExpiresAt: expiresAt
+                        }, null, 2)
+                    }]
+                };
+            }
+
+            if (existing.length === 0) {
+                throw new Error(`None of the UIDs exist in "${folder}": ${targets.join(', ')}`);
+            }
+
+            await this.removeMessages(imap, this.toUidRanges(existing), folder);
+            const remaining = await this.runImapSearch(imap, [['UID', this.toUidRanges(existing).join(',')]]);
+            const deleted = existing.filter(uid => !remaining.includes(uid));
+            console.error(`[Expunge] Permanently deleted ${deleted.length} email(s) from ${folder}`);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        operation: 'permanently deleted',
+                        folder: folder,
+                        deleted: deleted,
+                        ...(remaining.length > 0 && { notDeleted: remaining }),
+                        notFound: notFound
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Permanently delete everything in the Trash or spam (Bulk) folder
+     * Same two steps as expungeEmails; the token is bound to the folder, its UIDVALIDITY and the emails listed
+     */
+    async emptyFolder(folder = 'Trash', options = {}) {
+        const disabledError = this.checkPermanentDelete();
+        if (disabledError) return disabledError;
+
+        const imap = await this.imapPool.acquire();
+
+        try {
+            // Only the trash and spam folders, found by SPECIAL-USE attribute or name
+            const { folders } = await this.getFolderTree(imap);
+            const emptiable = folders.filter(f => f.selectable && (
+                f.flags.includes('\\Trash') || f.flags.includes('\\Junk') ||
+                ['trash', 'bulk', 'spam', 'junk'].includes(f.name.toLowerCase())));
+            const target = emptiable.find(f => f.name.toLowerCase() === String(folder).toLowerCase());
+
+            if (!target) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: empty_folder only empties the trash and spam folders (${emptiable.map(f => f.name).join(', ') || 'none found'}). Use expunge_emails for specific emails in other folders.`
+                    }]
+                };
+            }
+
+            const preview = options.dryRun || !options.confirmationToken;
+            const box = await this.openFolder(imap, target.name, preview);
+            const uids = await this.runImapSearch(imap, ['ALL']);
+
+            // The token only covers the emails the dry run listed: mail arriving after it needs a new one
+            const scope = { operation: 'emptied', folder: target.name, uidValidity: box.uidvalidity, uids: this.toUidRanges(uids) };
+
+            if (!preview) {
+                const confirmationError = this.validateConfirmation(options.confirmationToken, scope);
+                if (confirmationError) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error: ${confirmationError}`
+                        }]
+                    };
+                }
+            }
+
+            const totalBytes = uids.length > 0 ? await this.fetchTotalSize(imap, this.toUidRanges(uids)) : 0;
+
+            if (preview) {
+                const sample = uids.length > 0 ? await this.fetchEmailMetadata(imap, uids.slice(-10)) : [];
+                const { token, expiresAt } = this.createConfirmationToken(scope);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: JSON.stringify({
+                            dryRun: true,
+                            operation: 'emptied',
+                            folder: target.name,
+                            wouldDelete: uids.length,
+                            totalBytes: totalBytes,
+                            newest: sample
+                                .sort((a, b) => b.uid - a.uid)
+                                .map(email => ({ uid: email.uid, from: email.from, subject: email.subject, date: email.date, size: email.size })),
+                            warning: `Permanent deletion cannot be undone. Call empty_folder again with folder "${target.name}" and this confirmationToken to delete everything in it.`,
+                            confirmationToken: token,
+                            confirmationExpiresAt: expiresAt
+                        }, null, 2)
+                    }]
+                };
+            }
+
+            if (uids.length > 0) {
+                await this.removeMessages(imap, this.toUidRanges(uids), target.name);
+            }
+            console.error(`[Expunge] Emptied ${target.name} (${uids.length} email(s), ${totalBytes} bytes)`);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        operation: 'emptied',
+                        folder: target.name,
+                        deletedEmails: uids.length,
+                        freedBytes: totalBytes
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Helper: Whether a tool is offered - the permanent delete tools are hidden when ALLOW_PERMANENT_DELETE=false
+     */
+    isToolEnabled(name) {
+        return this.allowPermanentDelete || !['expunge_emails', 'empty_folder'].includes(name);
+    }
+
+    /**
+     * Helper: Error response when ALLOW_PERMANENT_DELETE=false, otherwise null
+     */
+    checkPermanentDelete() {
+        if (this.allowPermanentDelete) return null;
+
+        return {
+            content: [{
+                type: 'text',
+                text: 'Error: permanent deletion is disabled on this server (ALLOW_PERMANENT_DELETE=false). Use delete_emails to move emails to Trash instead.'
+            }]
+        };
+    }
+
+    /**
+     * Helper: Sum of RFC822.SIZE over a UID set on an already opened mailbox
+     */
+    async fetchTotalSize(imap, source) {
+        return new Promise((resolve, reject) => {
+            const fetch = imap.fetch(source, { size: true });
+            let total = 0;
+
+            fetch.on('message', (msg) => {
+                msg.once('attributes', (attrs) => {
+                    total += attrs.size || 0;
+                });
+            });
+
+            fetch.once('error', reject);
+            fetch.once('end', () => resolve(total));
+        });
+    }
+
+    /**
+     * Group newsletters and mailing lists in a folder by sender, from their List-Unsubscribe headers
+     * Only the newest scanLimit messages carrying the header are read (one header-only FETCH)
+     */
+    async listSubscriptions(folder = 'INBOX', limit = 50, scanLimit = 2000) {
+        const imap = await this.imapPool.acquire();
+
+        try {
+            await this.openFolder(imap, folder, true);
+            const uids = await this.runImapSearch(imap, [['HEADER', 'LIST-UNSUBSCRIBE', '']]);
+            const scanned = uids.slice(-scanLimit);
+            const messages = scanned.length > 0 ? await this.fetchListHeaders(imap, this.toUidRanges(scanned)) : [];
+
+            const groups = new Map();
+            for (const message of messages.sort((a, b) => a.uid - b.uid)) {
+                const key = message.sender.address || message.sender.name || 'unknown';
+                const group = groups.get(key) || { sender: key, name: message.sender.name || null, count: 0, unread: 0 };
+
+                group.count++;
+                if (!message.flags.includes('\\Seen')) group.unread++;
+
+                // Ascending UIDs, so the newest message wins
+                group.name = message.sender.name || group.name;
+                group.listId = message.listId || group.listId || null;
+                group.lastSeen = message.date ? message.date.toISOString() : group.lastSeen || null;
+                group.lastUid = message.uid;
+                group.unsubscribe = this.describeUnsubscribe(message.methods);
+                groups.set(key, group);
+            }
+
+            const subscriptions = [...groups.values()].sort((a, b) => b.count - a.count);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        folder: folder,
+                        messagesWithUnsubscribe: uids.length,
+                        scanned: scanned.length,
+                        senders: subscriptions.length,
+                        subscriptions: subscriptions.slice(0, limit)
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Unsubscribe from a sender's mailing list using the List-Unsubscribe header of their newest email:
+     * RFC 8058 one-click POST if offered, otherwise an unsubscribe email to the mailto address
+     * then: 'archive' or 'delete' also clears that sender's backlog with the *_matching bulk operations
+     */
+    async unsubscribe(args = {}, options = {}) {
+        const { sender, uid, folder = 'INBOX', then = 'none' } = args;
+
+        if (!sender && uid === undefined) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: sender (an address from list_subscriptions) or uid is required'
+                }]
+            };
+        }
+        if (uid !== undefined && (!Number.isInteger(uid) || uid < 1)) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: uid must be a positive integer'
+                }]
+            };
+        }
+        if (!['none', 'archive', 'delete'].includes(then)) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: then must be "none", "archive" or "delete"'
+                }]
+            };
+        }
+
+        // The newest email (by date) of the sender carries the current unsubscribe link.
+        // HEADER FROM matches substrings, so candidates are narrowed to the exact address
+        const imap = await this.imapPool.acquire();
+        let message;
+        try {
+            await this.openFolder(imap, folder, true);
+            if (uid !== undefined) {
+                [message] = await this.fetchListHeaders(imap, String(uid));
+            } else {
+                const uids = await this.runImapSearch(imap, [['HEADER', 'FROM', sender], ['HEADER', 'LIST-UNSUBSCRIBE', '']]);
+                const candidates = uids.length > 0 ? await this.fetchListHeaders(imap, this.toUidRanges(uids)) : [];
+                message = candidates
+                    .filter(candidate => candidate.sender.address === sender.toLowerCase())
+                    .sort((a, b) => (new Date(b.date) - new Date(a.date)) || b.uid - a.uid)[0];
+            }
+        } finally {
+            this.imapPool.release(imap);
+        }
+
+        if (!message || (!message.methods.oneClick && !message.methods.mailto && !message.methods.http)) {
+            throw new Error(uid !== undefined
+                ? `Email ${uid} in "${folder}" has no usable List-Unsubscribe header`
+                : `No email from "${sender}" with a List-Unsubscribe header in "${folder}"`);
+        }
+
+        const address = message.sender.address || sender;
+        const method = message.methods.oneClick ? 'one-click' : message.methods.mailto ? 'mailto' : 'manual';
+        const target = message.methods.oneClick || message.methods.mailto || message.methods.http;
+        const scope = { operation: 'unsubscribe', folder: folder, sender: address, method: method, target: target, then: then };
+        const clearBacklog = (backlogOptions) => (then === 'archive'
+            ? this.archiveMatching({ folder: folder, sender: address }, { ...backlogOptions, exactSender: address })
+            : this.deleteMatching({ folder: folder, sender: address }, { ...backlogOptions, exactSender: address }));
+
+        if (options.dryRun) {
+            const backlog = then === 'none' ? null : await clearBacklog({ dryRun: true });
+            const { token, expiresAt } = this.createConfirmationToken(scope);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        dryRun: true,
+                        sender: address,
+                        listId: message.listId,
+                        basedOnUid: message.uid,
+                        method: method,
+                        target: target,
+                        ...(backlog && { backlog: this.summarizeBacklog(backlog) }),
+                        confirmationToken: token,
+                        confirmationExpiresAt: expiresAt,
+                        confirmationRequired: this.requireConfirmation
+                    }, null, 2)
+                }]
+            };
+        }
+
+        if (options.requireConfirmation || options.confirmationToken) {
+            const confirmationError = this.validateConfirmation(options.confirmationToken, scope);
+            if (confirmationError) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: ${confirmationError}`
+                    }]
+                };
+            }
+        }
+
+        const result = {
+            sender: address,
+            listId: message.listId,
+            basedOnUid: message.uid,
+            method: method,
+            target: target
+        };
+
+        if (method === 'one-click') {
+            const response = await this.postOneClickUnsubscribe(target);
+            result.httpStatus = response.status;
+            if (response.redirected) {
+                // Redirects aren't followed: the target could be an internal address
+                result.method = 'manual';
+                result.note = `The one-click request was redirected${response.location ? ` to ${response.location}` : ''}, which is not followed. Open the link in a browser to finish unsubscribing.`;
+            }
+        } else if (method === 'mailto') {
+            const mailto = new URL(target);
+            const sent = await this.deliverMessage({
+                from: this.account.email,
+                to: decodeURIComponent(mailto.pathname),
+                subject: mailto.searchParams.get('subject') || 'unsubscribe',
+                text: mailto.searchParams.get('body') || 'unsubscribe'
+            }, false);
+            result.messageId = JSON.parse(sent.content[0].text).messageId;
+        } else {
+            // Web pages may need a human (forms, captchas); never GET them automatically
+            result.note = 'This list only offers a web page. Open the link in a browser to finish unsubscribing.';
+        }
+        console.error(`[Unsubscribe] ${address} via ${method}`);
+
+        if (then !== 'none') {
+            result.backlog = this.summarizeBacklog(await clearBacklog({}));
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify(result, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Helper: RFC 8058 one-click unsubscribe (POST "List-Unsubscribe=One-Click", no cookies or credentials)
+     * The host must resolve to public addresses only, and redirects are reported instead of followed
+     * @returns {Promise<Object>} { status, redirected, location } - location of a 3xx response
+     */
+    async postOneClickUnsubscribe(url) {
+        const { host, hostname } = new URL(url);
+        await this.checkPublicHost(hostname.replace(/^\[|\]$/g, ''));
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: 'List-Unsubscribe=One-Click',
+                redirect: 'manual',
+                signal: AbortSignal.timeout(15000)
+            });
+        } catch (err) {
+            throw new Error(`One-click unsubscribe request to ${host} failed: ${err.message}`);
+        }
+
+        if (response.status >= 300 && response.status < 400) {
+            return { status: response.status, redirected: true, location: response.headers.get('location') };
+        }
+        if (!response.ok) {
+            throw new Error(`One-click unsubscribe request to ${host} failed: HTTP ${response.status}`);
+        }
+        return { status: response.status, redirected: false, location: null };
+    }
+
+    /**
+     * Helper: Resolve a host and refuse it if any address is not public (see NON_PUBLIC_ADDRESSES)
+     * (the address is checked at lookup time; fetch resolves the name again when it connects)
+     */
+    async checkPublicHost(hostname) {
+        let addresses;
+        try {
+            addresses = await dns.lookup(hostname, { all: true });
+        } catch (err) {
+            throw new Error(`One-click unsubscribe host ${hostname} could not be resolved: ${err.message}`);
+        }
+
+        const internal = addresses.find(({ address }) => this.isPrivateAddress(address));
+        if (internal) {
+            throw new Error(`Refusing one-click unsubscribe: ${hostname} resolves to the non-public address ${internal.address}`);
+        }
+    }
+
+    /**
+     * Helper: Compact summary of a *_matching result (or dry run) for the unsubscribe report
+     */
+    summarizeBacklog(response) {
+        const text = response.content[0].text;
+        if (text.startsWith('Error:')) return { error: text.slice('Error: '.length) };
+
+        const result = JSON.parse(text);
+        return result.dryRun
+            ? { operation: result.operation, wouldProcess: result.wouldProcess }
+            : { operation: result.operation, succeeded: result.succeeded, failed: result.failed, operationId: result.operationId };
+    }
+
+    /**
+     * Helper: Sender, list and unsubscribe headers of each UID in the selected mailbox
+     */
+    async fetchListHeaders(imap, source) {
+        return new Promise((resolve, reject) => {
+            const fetch = imap.fetch(source, {
+                bodies: 'HEADER.FIELDS (FROM LIST-ID LIST-UNSUBSCRIBE LIST-UNSUBSCRIBE-POST)'
+            });
+            const messages = [];
+
+            fetch.on('message', (msg) => {
+                let header = '';
+                let attrs = null;
+
+                msg.on('body', (stream) => {
+                    stream.on('data', (chunk) => {
+                        header += chunk.toString('utf8');
+                    });
+                });
+
+                msg.once('attributes', (attributes) => {
+                    attrs = attributes;
+                });
+
+                msg.once('end', () => {
+                    if (!attrs) return;
+                    const parsed = Imap.parseHeader(header);
+                    const from = addressparser(parsed.from?.[0] || '')[0] || {};
+
+                    messages.push({
+                        uid: attrs.uid,
+                        flags: attrs.flags || [],
+                        date: attrs.date || null,
+                        sender: { name: from.name || null, address: from.address ? from.address.toLowerCase() : null },
+                        listId: parsed['list-id']?.[0]?.match(/<([^>]+)>/)?.[1] || parsed['list-id']?.[0] || null,
+                        methods: this.parseListUnsubscribe(parsed['list-unsubscribe']?.[0], parsed['list-unsubscribe-post']?.[0])
+                    });
+                });
+            });
+
+            fetch.once('error', reject);
+            fetch.once('end', () => resolve(messages));
+        });
+    }
+
+    /**
+     * Helper: Unsubscribe targets from List-Unsubscribe (RFC 2369) and List-Unsubscribe-Post (RFC 8058)
+     * One-click needs an https URL plus "List-Unsubscribe=One-Click"; plain http(s) links are web pages
+     */
+    parseListUnsubscribe(header, post) {
+        const uris = [...String(header || '').matchAll(/<([^>]+)>/g)].map(match => match[1].replace(/\s+/g, ''));
+        const https = uris.find(uri => /^https:\/\//i.test(uri) && this.isPublicUrl(uri));
+        const http = https || uris.find(uri => /^https?:\/\//i.test(uri));
+        const oneClick = /List-Unsubscribe\s*=\s*One-Click/i.test(post || '') ? https : undefined;
+
+        return {
+            oneClick: oneClick || null,
+            http: http || null,
+            mailto: uris.find(uri => /^mailto:[^?]+@/i.test(uri)) || null
+        };
+    }
+
+    /**
+     * Helper: Whether a URL's host name looks public - mail headers are attacker-controlled, so
+     * localhost names and private IP literals are rejected up front (checkPublicHost then checks DNS)
+     */
+    isPublicUrl(uri) {
+        let host;
+        try {
+            host = new URL(uri).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        } catch {
+            return false;
+        }
+
+        if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return false;
+        return !this.isPrivateAddress(host);
+    }
+
+    /**
+     * Helper: Whether an IP address is in one of the NON_PUBLIC_ADDRESSES ranges
+     * (host names are not IP addresses and return false)
+     */
+    isPrivateAddress(address) {
+        const family = net.isIP(address);
+        if (family === 0) return false;
+        return NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    /**
+     * Helper: Unsubscribe options of a list as shown by list_subscriptions
+     */
+    describeUnsubscribe(methods) {
+        return {
+            oneClick: Boolean(methods.oneClick),
+            url: methods.oneClick || methods.http,
+            mailto: methods.mailto
+        };
+    }
+
+    /**
+     * Mailbox analytics for one folder or every folder: top senders and domains, volume per day and
+     * week, unread ratio, largest emails and the share of emails with attachments
+     * Served from the header cache when enabled; otherwise one header-only FETCH per folder whose
+     * results are aggregated as they stream in, so large folders are never held in memory
+     */
+    async mailboxStats(folder = null, options = {}) {
+        const top = options.top ?? 10;
+        const days = options.days ?? 30;
+        const weeks = options.weeks ?? 12;
+
+        for (const [name, value] of [['top', top], ['days', days], ['weeks', weeks]]) {
+            if (!Number.isInteger(value) || value < 1 || value > 365) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: ${name} must be an integer between 1 and 365`
+                    }]
+                };
+            }
+        }
+
+        let since = null;
+        if (options.since) {
+            try {
+                since = /^\d+[dwmy]$/i.test(options.since)
+                    ? this.parseRelativeDate('since', options.since)
+                    : this.parseDateValue('since', options.since);
+            } catch (error) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: ${error.message}`
+                    }]
+                };
+            }
+        }
+
+        const stats = this.createStatsAccumulator(top);
+        const folders = [];
+        const imap = await this.imapPool.acquire();
+
+        try {
+            const names = folder
+                ? [folder]
+                : (await this.getFolderTree(imap)).folders.filter(f => f.selectable).map(f => f.name);
+
+            for (const name of names) {
+                const before = { messages: stats.totals.messages, bytes: stats.totals.bytes, unread: stats.totals.unread };
+                let source;
+
+                try {
+                    const box = await this.openFolder(imap, name, true);
+                    const add = (entry) => {
+                        if (!since || (entry.internalDate && entry.internalDate >= since)) stats.add(entry, name);
+                    };
+
+                    if (box.messages.total === 0) {
+                        source = 'imap';
+                    } else if (this.headerCache) {
+                        source = 'cache';
+                        const cache = await this.headerCache.sync(imap, name, box);
+                        for (const entry of cache.messages.values()) add(entry);
+                    } else {
+                        source = 'imap';
+                        const uids = since ? await this.runImapSearch(imap, [['SINCE', new Date(since)]]) : null;
+                        if (!uids) {
+                            await this.fetchStatsEntries(imap, '1:*', true, add);
+                        } else if (uids.length > 0) {
+                            await this.fetchStatsEntries(imap, this.toUidRanges(uids), false, add);
                         }
+                    }
+                } catch (error) {
+                    if (folder) throw error;
+                    folders.push({ folder: name, error: error.message });
+                    continue;
+                }
+
+                folders.push({
+                    folder: name,
+                    source: source,
+                    messages: stats.totals.messages - before.messages,
+                    bytes: stats.totals.bytes - before.bytes,
+                    unread: stats.totals.unread - before.unread
+                });
+            }
+        } finally {
+            this.imapPool.release(imap);
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    folder: folder || 'all',
+                    since: since,
+                    ...stats.result(days, weeks),
+                    ...(!folder && { folders: folders.sort((a, b) => (b.bytes || 0) - (a.bytes || 0)) })
+                }, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Helper: Running totals for mailbox_stats; only the top-N lists and per-day/week counters are kept
+     */
+    createStatsAccumulator(top) {
+        const totals = { messages: 0, bytes: 0, unread: 0, flagged: 0, withAttachments: 0, attachmentBytes: 0 };
+        const senders = new Map();
+        const domains = new Map();
+        const daily = new Map();
+        const weekly = new Map();
+        let largest = [];
+
+        const count = (map, key, size) => {
+            const item = map.get(key) || { count: 0, bytes: 0 };
+            item.count++;
+            item.bytes += size;
+            map.set(key, item);
+        };
+        const ranked = (map, label, by) => [...map.entries()]
+            .sort((a, b) => b[1][by] - a[1][by] || b[1].count - a[1].count)
+            .slice(0, top)
+            .map(([key, item]) => ({ [label]: key, count: item.count, bytes: item.bytes }));
+        const recent = (map, keys) => keys.map(key => ({ period: key, ...(map.get(key) || { count: 0, bytes: 0 }) }));
+
+        return {
+            totals: totals,
+
+            add: (entry, folder) => {
+                const size = entry.size || 0;
+                const flags = entry.flags || [];
+                const from = addressparser(entry.from || '')[0] || {};
+                const address = (from.address || from.name || 'unknown').toLowerCase();
+
+                totals.messages++;
+                totals.bytes += size;
+                if (!flags.includes('\\Seen')) totals.unread++;
+                if (flags.includes('\\Flagged')) totals.flagged++;
+                if (entry.hasAttachments) {
+                    totals.withAttachments++;
+                    totals.attachmentBytes += size;
+                }
+
+                count(senders, address, size);
+                count(domains, address.includes('@') ? address.split('@').pop() : address, size);
+
+                if (entry.internalDate) {
+                    count(daily, entry.internalDate.slice(0, 10), size);
+                    count(weekly, this.weekStart(entry.internalDate), size);
+                }
+
+                // Keep the top list small instead of sorting every message at the end
+                if (largest.length < top || size > largest[largest.length - 1].size) {
+                    largest.push({ uid: entry.uid, folder: folder, from: entry.from, subject: entry.subject, date: entry.internalDate, size: size, hasAttachments: Boolean(entry.hasAttachments) });
+                    largest = largest.sort((a, b) => b.size - a.size).slice(0, top);
+                }
+            },
+
+            result: (days, weeks) => {
+                const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+                const today = new Date();
+                const dayKeys = Array.from({ length: days }, (_, i) =>
+                    new Date(today.getTime() - (days - 1 - i) * 86400000).toISOString().slice(0, 10));
+                const weekKeys = Array.from({ length: weeks }, (_, i) =>
+                    this.weekStart(new Date(today.getTime() - (weeks - 1 - i) * 7 * 86400000).toISOString()));
+
+                return {
+                    totals: {
+                        messages: totals.messages,
+                        bytes: totals.bytes,
+                        unread: totals.unread,
+                        unreadRatio: ratio(totals.unread, totals.messages),
+                        flagged: totals.flagged
                     },
-                    {
-                        name: 'move_emails',
-                        description: 'Move emails to a specified folder using UIDs. UIDs are permanent identifiers. Use list_folders to see available folders.',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {
-                                uids: {
-                                    type: 'array',
-                                    items: { type: 'number' },
-                                    description: 'Array of UIDs to move',
-                                    minItems: 1
-                                },
-                                folderName: {
-                                    type: 'string',
-                                    description: 'Name of the destination folder (e.g., "Work", "Personal"). Use list_folders to see available folders.'
-                                },
-                                sourceFolder: {
-                                    type: 'string',
-                                    description: 'Source folder containing the emails (default: INBOX)',
-                                    default: 'INBOX'
-                                }
-                            },
-                            required: ['uids', 'folderName']
+                    attachments: {
+                        messages: totals.withAttachments,
+                        bytes: totals.attachmentBytes,
+                        shareOfMessages: ratio(totals.withAttachments, totals.messages),
+                        shareOfBytes: ratio(totals.attachmentBytes, totals.bytes)
+                    },
+                    topSenders: ranked(senders, 'sender', 'count'),
+                    topSendersByBytes: ranked(senders, 'sender', 'bytes'),
+                    topDomains: ranked(domains, 'domain', 'count'),
+                    topDomainsByBytes: ranked(domains, 'domain', 'bytes'),
+                    volume: {
+                        daily: recent(daily, dayKeys),
+                        weekly: recent(weekly, weekKeys)
+                    },
+                    largest: largest
+                };
+            }
+        };
+    }
+
+    /**
+     * Helper: Monday (UTC) of the week containing an ISO date, as YYYY-MM-DD
+     */
+    weekStart(isoDate) {
+        const date = new Date(isoDate.slice(0, 10));
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Helper: Stream From/Subject, size, flags, internal date and attachment info of a message set
+     * to onEntry, in the same shape as header cache entries
+     */
+    async fetchStatsEntries(imap, source, bySequence, onEntry) {
+        return new Promise((resolve, reject) => {
+            const fetch = (bySequence ? imap.seq : imap).fetch(source, {
+                bodies: 'HEADER.FIELDS (FROM SUBJECT)',
+                struct: true,
+                size: true
+            });
+
+            fetch.on('message', (msg) => {
+                let header = '';
+                let attrs = null;
+
+                msg.on('body', (stream) => {
+                    stream.on('data', (chunk) => {
+                        header += chunk.toString('utf8');
+                    });
+                });
+
+                msg.once('attributes', (attributes) => {
+                    attrs = attributes;
+                });
+
+                msg.once('end', () => {
+                    if (!attrs) return;
+                    const parsed = Imap.parseHeader(header);
+                    onEntry({
+                        uid: attrs.uid,
+                        from: parsed.from?.[0] || 'Unknown',
+                        subject: parsed.subject?.[0] || 'No Subject',
+                        internalDate: attrs.date ? new Date(attrs.date).toISOString() : null,
+                        size: attrs.size || 0,
+                        flags: attrs.flags || [],
+                        hasAttachments: this.hasAttachments(attrs.struct)
+                    });
+                });
+            });
+
+            fetch.once('error', reject);
+            fetch.once('end', resolve);
+        });
+    }
+
+    /**
+     * List journaled moves and flag changes, newest first
+     */
+    async listOperations(limit = 20) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: limit must be a positive integer'
+                }]
+            };
+        }
+
+        const operations = (await this.operationJournal.list(limit)).map(entry => ({
+            id: entry.id,
+            timestamp: entry.timestamp,
+            description: entry.description,
+            type: entry.type,
+            folder: entry.folder,
+            ...(entry.type === 'move'
+                ? {
+                    destination: entry.destination,
+                    uids: entry.uids,
+                    destinationUids: entry.moved.map(move => move.destinationUid)
+                }
+                : {
+                    action: entry.action,
+                    items: entry.items,
+                    uids: entry.uids,
+                    changedUids: entry.changes.map(change => change.uid)
+                }),
+            undoOf: entry.undoOf,
+            undoneAt: entry.undoneAt,
+            undoneBy: entry.undoneBy,
+            undoable: !entry.undoneAt && (entry.type === 'move' || entry.changes.length > 0)
+        }));
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    operations: operations,
+                    count: operations.length,
+                    persistent: Boolean(this.operationJournal.file)
+                }, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Reverse a journaled operation: moves go back to the source folder (found by the
+     * COPYUID destination UID; messages without one are reported, not guessed), flag changes are inverted
+     * The undo is journaled too, so it can itself be undone
+     */
+    async undoOperation(id) {
+        if (!id || typeof id !== 'string') {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: id is required (see list_operations)'
+                }]
+            };
+        }
+
+        const entry = await this.operationJournal.get(id);
+        if (!entry) {
+            throw new Error(`Unknown operation "${id}". Use list_operations to see recent operations.`);
+        }
+        if (entry.undoneAt) {
+            throw new Error(`Operation ${id} was already undone at ${entry.undoneAt} (by ${entry.undoneBy})`);
+        }
+
+        const undo = entry.type === 'move'
+            ? await this.undoMove(entry)
+            : await this.undoFlagChange(entry);
+
+        await this.operationJournal.update(entry.id, {
+            undoneAt: new Date().toISOString(),
+            undoneBy: undo.journal.entry?.id || null
+        });
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    undone: entry.id,
+                    description: entry.description,
+                    undoOperation: undo.journal.entry?.id || null,
+                    result: undo.response.content[0].text,
+                    ...(undo.restored && { restored: undo.restored }),
+                    ...(undo.missing.length > 0 && { missing: undo.missing }),
+                    ...(undo.unknown?.length > 0 && { destinationUidsUnknown: undo.unknown })
+                }, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Helper: Move the messages of a journaled move back where they came from
+     */
+    async undoMove(entry) {
+        const imap = await this.imapPool.acquire();
+        const found = [];
+        const missing = [];
+        const unknown = [];
+
+        try {
+            const box = await this.openFolder(imap, entry.destination, true);
+            const sameValidity = !entry.destinationUidValidity || box.uidvalidity === entry.destinationUidValidity;
+            const knownUids = entry.moved.map(move => move.destinationUid).filter(uid => uid !== null);
+            const present = sameValidity && knownUids.length > 0
+                ? new Set(await this.runImapSearch(imap, [['UID', knownUids.join(',')]]))
+                : new Set();
+
+            // Without a COPYUID destination UID there is no reliable way to tell which message is the moved one
+            for (const move of entry.moved) {
+                if (move.destinationUid === null || !sameValidity) {
+                    unknown.push({ uid: move.uid, messageId: move.messageId });
+                } else if (present.has(move.destinationUid)) {
+                    found.push({ originalUid: move.uid, uid: move.destinationUid });
+                } else {
+                    missing.push(move.uid);
+                }
+            }
+        } finally {
+            this.imapPool.release(imap);
+        }
+
+        if (found.length === 0) {
+            throw new Error(unknown.length > 0
+                ? `Destination UIDs unknown for ${unknown.length} message(s) of operation ${entry.id} ` +
+                  `(the server did not report COPYUID or "${entry.destination}" was recreated), so they can't be moved back automatically. ` +
+                  `Message-IDs: ${unknown.map(move => move.messageId || `(none, UID ${move.uid})`).join(', ')}`
+                : `None of the messages from operation ${entry.id} are still in "${entry.destination}"`);
+        }
+
+        const journal = { type: 'move', destination: entry.folder, undoOf: entry.id };
+        const response = await this.modifyEmails(
+            found.map(item => item.uid),
+            (imap, source, callback) => imap.move(source, entry.folder, callback),  // NO .seq
+            `moved back to ${entry.folder}`,
+            entry.destination,
+            journal
+        );
+
+        // Where each message ended up, by its UID before the original move
+        const restored = found.map(item => ({
+            originalUid: item.originalUid,
+            uid: journal.entry?.moved.find(move => move.uid === item.uid)?.destinationUid ?? null
+        }));
+
+        return { response, journal, restored, missing, unknown };
+    }
+
+    /**
+     * Helper: Invert a journaled flag/keyword change on the UIDs it actually changed
+     */
+    async undoFlagChange(entry) {
+        if (entry.changes.length === 0) {
+            throw new Error(`Operation ${entry.id} did not change any message (the flags were already set), nothing to undo`);
+        }
+
+        const imap = await this.imapPool.acquire();
+        try {
+            const box = await this.openFolder(imap, entry.folder, true);
+            if (box.uidvalidity !== entry.uidValidity) {
+                throw new Error(`UIDVALIDITY of "${entry.folder}" changed since operation ${entry.id}, so its UIDs no longer identify the same messages`);
+            }
+        } finally {
+            this.imapPool.release(imap);
+        }
+
+        const inverse = entry.action === 'add' ? 'remove' : 'add';
+        const itemsByUid = new Map(entry.changes.map(change => [change.uid, change.items]));
+        const method = entry.keywords
+            ? (inverse === 'add' ? 'addKeywords' : 'delKeywords')
+            : (inverse === 'add' ? 'addFlags' : 'delFlags');
+
+        // UIDs that changed the same items share one command
+        const restore = (imap, source, callback) => {
+            const groups = new Map();
+            for (const uid of [source].flat().flatMap(set => this.expandUidSet(set))) {
+                const items = itemsByUid.get(uid);
+                const key = items.join('\n');
+                if (!groups.has(key)) groups.set(key, { items, uids: [] });
+                groups.get(key).uids.push(uid);
+            }
+
+            const pending = [...groups.values()];
+            const next = (err) => {
+                if (err || pending.length === 0) {
+                    callback(err || null);
+                    return;
+                }
+                const group = pending.shift();
+                imap[method](this.toUidRanges(group.uids), group.items, next);  // NO .seq
+            };
+            next();
+        };
+
+        const journal = { type: 'flags', action: inverse, items: entry.items, keywords: entry.keywords, undoOf: entry.id };
+        const response = await this.modifyEmails(
+            [...itemsByUid.keys()],
+            restore,
+            inverse === 'add' ? `restored ${entry.items.join(', ')} on` : `removed ${entry.items.join(', ')} from`,
+            entry.folder,
+            journal
+        );
+
+        return { response, journal, missing: [] };
+    }
+
+    /**
+     * Apply mail rules to a folder, optionally restricted to a search result set or UIDs
+     * Each rule matches with search_emails criteria and runs the same operations as the flag/move tools
+     */
+    async applyRules(args = {}, options = {}) {
+        const { folder = null, ruleNames, search, uids } = args;
+        const { dryRun = false } = options;
+
+        if (uids !== undefined) {
+            const validationError = this.validateUIDs(uids);
+            if (validationError) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: ${validationError}`
+                    }]
+                };
+            }
+        }
+
+        if (search !== undefined && (!search || typeof search !== 'object' || Array.isArray(search))) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: search must be an object of search_emails criteria'
+                }]
+            };
+        }
+
+        const { rules, source } = await this.loadRules(args.rules);
+        let selected = rules.filter(rule => rule.enabled);
+
+        // Rules named explicitly run even when disabled in the file
+        if (ruleNames !== undefined) {
+            if (!Array.isArray(ruleNames) || ruleNames.length === 0) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: 'Error: ruleNames must be a non-empty array of rule names'
+                    }]
+                };
+            }
+
+            const unknown = ruleNames.filter(name => !rules.some(rule => rule.name === name));
+            if (unknown.length > 0) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: Unknown rule(s): ${unknown.join(', ')}. Available: ${rules.map(rule => rule.name).join(', ')}`
+                    }]
+                };
+            }
+            selected = rules.filter(rule => ruleNames.includes(rule.name));
+        }
+
+        if (selected.length === 0) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: no enabled rules to apply'
+                }]
+            };
+        }
+
+        // The real run must match the reviewed dry run: same rules, folder and restrictions.
+        // Rules are bound by their normalized definition, so editing the rules file voids the token
+        const confirmationScope = {
+            operation: 'apply_rules',
+            folder: folder,
+            rules: selected.map(rule => ({
+                name: rule.name,
+                hash: crypto.createHash('sha256').update(JSON.stringify(rule)).digest('base64url')
+            })),
+            inlineRules: args.rules ?? null,
+            search: search ?? null,
+            uids: uids ?? null
+        };
+        if (!dryRun && (options.requireConfirmation || options.confirmationToken)) {
+            const confirmationError = this.validateConfirmation(options.confirmationToken, confirmationScope);
+            if (confirmationError) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: ${confirmationError}`
+                    }]
+                };
+            }
+        }
+
+        let scopeFilters = null;
+        if (search) {
+            const parsed = this.parseSearchQuery(search.query || '');
+            if (parsed.folder) {
+                throw new Error('search cannot use in: - pass folder instead');
+            }
+            scopeFilters = this.buildSearchFilters(parsed, search);
+            this.compileSearchCriteria(scopeFilters, true);
+        }
+
+        // Per folder: UIDs moved away (or stopped) by an earlier rule, and the restricting scope
+        const claimed = new Map();
+        const scopes = new Map();
+        const results = [];
+
+        for (const rule of selected) {
+            const ruleFolder = folder || rule.folder || 'INBOX';
+            if (!claimed.has(ruleFolder)) claimed.set(ruleFolder, new Set());
+            const folderClaimed = claimed.get(ruleFolder);
+
+            const imap = await this.imapPool.acquire();
+            let matched;
+            let preview;
+
+            try {
+                await this.openFolder(imap, ruleFolder, true);
+
+                if (!scopes.has(ruleFolder)) {
+                    let scope = scopeFilters ? new Set(await this.findMatchingUids(imap, scopeFilters)) : null;
+                    if (uids) {
+                        scope = new Set(uids.filter(uid => !scope || scope.has(uid)));
+                    }
+                    scopes.set(ruleFolder, scope);
+                }
+                const scope = scopes.get(ruleFolder);
+
+                matched = (await this.findMatchingUids(imap, rule.filters))
+                    .filter(uid => !folderClaimed.has(uid) && (!scope || scope.has(uid)));
+
+                if (dryRun && matched.length > 0) {
+                    const emails = await this.fetchEmailMetadata(imap, matched.slice(-20));
+                    preview = emails
+                        .sort((a, b) => b.uid - a.uid)
+                        .map(email => ({ uid: email.uid, from: email.from, subject: email.subject, date: email.date }));
+                }
+            } finally {
+                this.imapPool.release(imap);
+            }
+
+            const steps = this.planRuleActions(rule.actions);
+            const result = {
+                rule: rule.name,
+                folder: ruleFolder,
+                matched: matched.length,
+                uids: matched,
+                actions: []
+            };
+
+            if (matched.length > 0) {
+                if (dryRun) {
+                    result.preview = preview;
+                    result.actions = steps.map(step => ({ action: step.action, status: 'planned' }));
+                } else {
+                    for (const step of steps) {
+                        try {
+                            const response = await step.run(matched, ruleFolder);
+                            result.actions.push({ action: step.action, status: 'done', result: response.content[0].text });
+                        } catch (error) {
+                            console.error(`[Rules] "${rule.name}" ${step.action} failed:`, error.message);
+                            result.actions.push({ action: step.action, status: 'failed', error: error.message });
                         }
+                    }
+                }
+            }
+
+            // Messages that left the folder (or hit a stop rule) are not seen by later rules
+            if (rule.stop || rule.actions.moveTo || rule.actions.archive || rule.actions.delete) {
+                matched.forEach(uid => folderClaimed.add(uid));
+            }
+
+            results.push(result);
+        }
+
+        const confirmation = dryRun ? this.createConfirmationToken(confirmationScope) : null;
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    dryRun: dryRun,
+                    rulesSource: source,
+                    rules: results,
+                    summary: {
+                        rulesApplied: results.length,
+                        messagesMatched: results.reduce((sum, result) => sum + result.matched, 0),
+                        actionsFailed: results.reduce((sum, result) =>
+                            sum + result.actions.filter(action => action.status === 'failed').length, 0)
                     },
-                    {
-                        name: 'list_folders',
-                        description: 'List all available IMAP folders/mailboxes in your Yahoo Mail account',
-                        inputSchema: {
-                            type: 'object',
-                            properties: {}
-                        }
+                    ...(confirmation && {
+                        confirmationToken: confirmation.token,
+                        confirmationExpiresAt: confirmation.expiresAt,
+                        confirmationRequired: this.requireConfirmation
+                    })
+                }, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Helper: Read and validate mail rules (inline, or MAIL_RULES_FILE as JSON or YAML)
+     * @throws {Error} If no rules are configured or a rule is invalid
+     */
+    async loadRules(inline) {
+        let raw;
+        let source;
+
+        if (inline !== undefined) {
+            raw = inline;
+            source = 'inline';
+        } else {
+            const file = process.env.MAIL_RULES_FILE;
+            if (!file) {
+                throw new Error('No rules configured: set MAIL_RULES_FILE to a JSON or YAML rules file, or pass rules inline');
+            }
+
+            let content;
+            try {
+                content = await fs.readFile(file, 'utf8');
+            } catch (err) {
+                throw new Error(`Failed to read rules file "${file}": ${err.message}`);
+            }
+
+            try {
+                raw = /\.ya?ml$/i.test(file) ? YAML.parse(content) : JSON.parse(content);
+            } catch (err) {
+                throw new Error(`Invalid rules file "${file}": ${err.message}`);
+            }
+            source = file;
+        }
+
+        const list = Array.isArray(raw) ? raw : raw?.rules;
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new Error(`Invalid rules (${source}): expected a non-empty array of rules, or an object with a "rules" array`);
+        }
+
+        const names = new Set();
+        const rules = list.map((rule, index) => {
+            const label = typeof rule?.name === 'string' && rule.name ? `rule "${rule.name}"` : `rule #${index + 1}`;
+
+            try {
+                if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                    throw new Error('must be an object');
+                }
+                if (typeof rule.name !== 'string' || rule.name.trim().length === 0) {
+                    throw new Error('name is required');
+                }
+                if (names.has(rule.name)) {
+                    throw new Error('duplicate rule name');
+                }
+                names.add(rule.name);
+
+                if (rule.folder !== undefined && (typeof rule.folder !== 'string' || rule.folder.length === 0)) {
+                    throw new Error('folder must be a folder name');
+                }
+                if (!rule.match || typeof rule.match !== 'object' || Array.isArray(rule.match) ||
+                    Object.keys(rule.match).length === 0) {
+                    throw new Error('match must be a non-empty object of search_emails criteria');
+                }
+
+                const match = this.expandRuleWildcards(rule.match);
+                const parsed = this.parseSearchQuery(match.query || '');
+                if (parsed.folder) {
+                    throw new Error('use the rule\'s folder instead of in: in the query');
+                }
+                const filters = this.buildSearchFilters(parsed, match);
+                this.compileSearchCriteria(filters, true);
+
+                return {
+                    name: rule.name,
+                    enabled: rule.enabled !== false,
+                    folder: rule.folder,
+                    filters: filters,
+                    actions: this.validateRuleActions(rule.actions),
+                    stop: rule.stop === true
+                };
+            } catch (err) {
+                throw new Error(`Invalid ${label} (${source}): ${err.message}`);
+            }
+        });
+
+        return { rules, source };
+    }
+
+    /**
+     * Helper: IMAP SEARCH matches substrings, so "*@newsletter.com" means "@newsletter.com"
+     * @throws {Error} On a wildcard in the middle of a value (IMAP can't express it)
+     */
+    expandRuleWildcards(group) {
+        const expanded = { ...group };
+
+        for (const key of ['sender', 'from', 'to', 'cc', 'bcc', 'subject', 'body', 'text']) {
+            if (typeof expanded[key] !== 'string') continue;
+
+            expanded[key] = expanded[key].replace(/^\*+|\*+$/g, '');
+            if (expanded[key].includes('*')) {
+                throw new Error(`${key}: only leading or trailing * wildcards are supported ("${group[key]}")`);
+            }
+            if (expanded[key].length === 0) {
+                throw new Error(`${key} cannot be only a wildcard`);
+            }
+        }
+
+        if (Array.isArray(expanded.and)) expanded.and = expanded.and.map(child => this.expandRuleWildcards(child));
+        if (Array.isArray(expanded.or)) expanded.or = expanded.or.map(child => this.expandRuleWildcards(child));
+        if (expanded.not && typeof expanded.not === 'object') expanded.not = this.expandRuleWildcards(expanded.not);
+
+        return expanded;
+    }
+
+    /**
+     * Helper: Validate a rule's actions object
+     * @throws {Error} On unknown or conflicting actions
+     */
+    validateRuleActions(actions) {
+        if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+            throw new Error('actions must be an object, e.g. { "moveTo": "Newsletters", "markRead": true }');
+        }
+
+        const booleans = ['archive', 'delete', 'markRead', 'markUnread', 'flag', 'unflag'];
+        const known = [...booleans, 'moveTo', 'addKeywords', 'removeKeywords'];
+        const unknown = Object.keys(actions).filter(key => !known.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`unknown action(s): ${unknown.join(', ')}. Supported: ${known.join(', ')}`);
+        }
+
+        for (const key of booleans) {
+            if (actions[key] !== undefined && typeof actions[key] !== 'boolean') {
+                throw new Error(`${key} must be true or false`);
+            }
+        }
+        if (actions.moveTo !== undefined && (typeof actions.moveTo !== 'string' || actions.moveTo.length === 0)) {
+            throw new Error('moveTo must be a folder name');
+        }
+        for (const key of ['addKeywords', 'removeKeywords']) {
+            if (actions[key] === undefined) continue;
+            if (!Array.isArray(actions[key]) || actions[key].length === 0) {
+                throw new Error(`${key} must be a non-empty array of keywords`);
+            }
+            const invalid = this.findInvalidKeyword(actions[key]);
+            if (invalid !== undefined) {
+                throw new Error(`${key} contains an invalid keyword: "${invalid}"`);
+            }
+        }
+
+        if ([actions.moveTo, actions.archive, actions.delete].filter(Boolean).length > 1) {
+            throw new Error('use only one of moveTo, archive and delete');
+        }
+        if (actions.markRead && actions.markUnread) {
+            throw new Error('markRead and markUnread conflict');
+        }
+        if (actions.flag && actions.unflag) {
+            throw new Error('flag and unflag conflict');
+        }
+
+        const plan = this.planRuleActions(actions);
+        if (plan.length === 0) {
+            throw new Error('at least one action is required');
+        }
+
+        return actions;
+    }
+
+    /**
+     * Helper: Turn a rule's actions into steps that reuse the tool operations
+     * Flag and keyword changes run first; moving runs last because the messages leave the folder
+     */
+    planRuleActions(actions) {
+        const steps = [];
+
+        if (actions.markRead) steps.push({ action: 'markRead', run: (uids, folder) => this.markAsRead(uids, folder) });
+        if (actions.markUnread) steps.push({ action: 'markUnread', run: (uids, folder) => this.markAsUnread(uids, folder) });
+        if (actions.flag) steps.push({ action: 'flag', run: (uids, folder) => this.flagEmails(uids, folder) });
+        if (actions.unflag) steps.push({ action: 'unflag', run: (uids, folder) => this.unflagEmails(uids, folder) });
+
+        if (actions.addKeywords) {
+            steps.push({
+                action: `addKeywords: ${actions.addKeywords.join(', ')}`,
+                run: (uids, folder) => this.modifyEmails(
+                    uids,
+                    (imap, source, callback) => imap.addKeywords(source, actions.addKeywords, callback),
+                    `added keyword(s) ${actions.addKeywords.join(', ')} to`,
+                    folder,
+                    { type: 'flags', action: 'add', items: actions.addKeywords, keywords: true }
+                )
+            });
+        }
+        if (actions.removeKeywords) {
+            steps.push({
+                action: `removeKeywords: ${actions.removeKeywords.join(', ')}`,
+                run: (uids, folder) => this.modifyEmails(
+                    uids,
+                    (imap, source, callback) => imap.delKeywords(source, actions.removeKeywords, callback),
+                    `removed keyword(s) ${actions.removeKeywords.join(', ')} from`,
+                    folder,
+                    { type: 'flags', action: 'remove', items: actions.removeKeywords, keywords: true }
+                )
+            });
+        }
+
+        if (actions.moveTo) steps.push({ action: `moveTo: ${actions.moveTo}`, run: (uids, folder) => this.moveEmails(uids, actions.moveTo, folder) });
+        if (actions.archive) steps.push({ action: 'archive', run: (uids, folder) => this.archiveEmails(uids, folder) });
+        if (actions.delete) steps.push({ action: 'delete', run: (uids, folder) => this.deleteEmails(uids, folder) });
+
+        return steps;
+    }
+
+    /**
+     * Send an email via SMTP and save a copy to the Sent folder
+     */
+    async sendEmail(args = {}) {
+        const {
+            to,
+            cc,
+            bcc,
+            subject,
+            text,
+            html,
+            attachments = [],
+            saveToSent = true
+        } = args;
+
+        // Validate input
+        const toList = this.normalizeAddressList(to);
+        if (toList.length === 0) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: to must contain at least one recipient'
+                }]
+            };
+        }
+
+        if (subject === undefined || subject === null) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: subject is required (use empty string "" for no subject)'
+                }]
+            };
+        }
+
+        if (!text && !html) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: either text or html body is required'
+                }]
+            };
+        }
+
+        const attachmentError = this.validateAttachments(attachments);
+        if (attachmentError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${attachmentError}`
+                }]
+            };
+        }
+
+        const mailOptions = {
+            from: this.account.email,
+            to: toList,
+            cc: this.normalizeAddressList(cc),
+            bcc: this.normalizeAddressList(bcc),
+            subject: subject,
+            text: text,
+            html: html,
+            date: new Date(),
+            attachments: attachments.map(attachment => ({
+                filename: attachment.filename,
+                content: attachment.content,
+                encoding: 'base64',
+                contentType: attachment.contentType
+            }))
+        };
+
+        return this.deliverMessage(mailOptions, saveToSent);
+    }
+
+    /**
+     * Reply (or reply-all) to an email, keeping threading headers intact
+     */
+    async replyToEmail(args = {}) {
+        const {
+            uid,
+            folder = 'INBOX',
+            text,
+            html,
+            replyAll = false,
+            cc,
+            bcc,
+            quoteOriginal = true,
+            includeAttachments = false,
+            saveToSent = true
+        } = args;
+
+        // Validate input
+        const validationError = this.validateUIDs([uid]);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError.replace('uids', 'uid')}`
+                }]
+            };
+        }
+
+        if (!text && !html) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: either text or html body is required'
+                }]
+            };
+        }
+
+        const { parsed } = await this.fetchOriginalEmail(uid, folder);
+
+        // Reply goes to Reply-To if present, otherwise to the sender
+        const ownAddress = (this.account.email || '').toLowerCase();
+        const isOwnAddress = (entry) => entry.address?.toLowerCase() === ownAddress;
+
+        const to = (parsed.replyTo?.value || parsed.from?.value || []).filter(entry => entry.address);
+        let ccList = [];
+
+        if (replyAll) {
+            const seen = new Set(to.map(entry => entry.address.toLowerCase()));
+            ccList = [...(parsed.to?.value || []), ...(parsed.cc?.value || [])].filter(entry => {
+                if (!entry.address || isOwnAddress(entry) || seen.has(entry.address.toLowerCase())) {
+                    return false;
+                }
+                seen.add(entry.address.toLowerCase());
+                return true;
+            });
+        }
+
+        if (to.length === 0) {
+            throw new Error(`Email UID ${uid} has no From or Reply-To address to reply to`);
+        }
+
+        const quoteHeader = `On ${parsed.date ? parsed.date.toUTCString() : 'an unknown date'}, ${parsed.from?.text || 'the sender'} wrote:`;
+
+        const mailOptions = {
+            from: this.account.email,
+            to: to,
+            cc: [...ccList, ...this.normalizeAddressList(cc)],
+            bcc: this.normalizeAddressList(bcc),
+            subject: this.prefixSubject(parsed.subject, 'Re'),
+            date: new Date(),
+            ...this.buildThreadingHeaders(parsed),
+            attachments: includeAttachments ? this.carryAttachments(parsed) : []
+        };
+
+        if (text) {
+            mailOptions.text = quoteOriginal
+                ? `${text}\n\n${quoteHeader}\n${this.quoteText(parsed.text || '')}`
+                : text;
+        }
+
+        if (html) {
+            mailOptions.html = quoteOriginal
+                ? `${html}<br><br><div>${this.escapeHtml(quoteHeader)}</div>` +
+                  `<blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">` +
+                  `${parsed.html || parsed.textAsHtml || ''}</blockquote>`
+                : html;
+        }
+
+        const result = await this.deliverMessage(mailOptions, saveToSent);
+
+        // Best-effort: mark the original as answered so Yahoo shows the reply arrow
+        await this.markAnswered(uid, folder).catch(err => {
+            console.error(`[UID ${uid}] Failed to set \\Answered flag:`, err.message);
+        });
+
+        return result;
+    }
+
+    /**
+     * Forward an email inline or as an attached message
+     */
+    async forwardEmail(args = {}) {
+        const {
+            uid,
+            folder = 'INBOX',
+            to,
+            cc,
+            bcc,
+            text,
+            html,
+            forwardAs = 'inline',
+            includeAttachments = true,
+            saveToSent = true
+        } = args;
+
+        // Validate input
+        const validationError = this.validateUIDs([uid]);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError.replace('uids', 'uid')}`
+                }]
+            };
+        }
+
+        const toList = this.normalizeAddressList(to);
+        if (toList.length === 0) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: to must contain at least one recipient'
+                }]
+            };
+        }
+
+        if (forwardAs !== 'inline' && forwardAs !== 'attachment') {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: forwardAs must be "inline" or "attachment"'
+                }]
+            };
+        }
+
+        const { parsed, raw } = await this.fetchOriginalEmail(uid, folder);
+
+        const mailOptions = {
+            from: this.account.email,
+            to: toList,
+            cc: this.normalizeAddressList(cc),
+            bcc: this.normalizeAddressList(bcc),
+            subject: this.prefixSubject(parsed.subject, 'Fwd'),
+            date: new Date(),
+            references: this.buildThreadingHeaders(parsed).references,
+            attachments: []
+        };
+
+        if (forwardAs === 'attachment') {
+            mailOptions.text = text || '';
+            if (html) mailOptions.html = html;
+            mailOptions.attachments.push({
+                filename: `${(parsed.subject || 'message').replace(/[\\/:*?"<>|]/g, '_')}.eml`,
+                content: raw,
+                contentType: 'message/rfc822'
+            });
+        } else {
+            const forwardHeader = [
+                '---------- Forwarded message ---------',
+                `From: ${parsed.from?.text || 'Unknown'}`,
+                `Date: ${parsed.date ? parsed.date.toUTCString() : 'Unknown Date'}`,
+                `Subject: ${parsed.subject || 'No Subject'}`,
+                `To: ${parsed.to?.text || 'Unknown'}`
+            ];
+            if (parsed.cc?.text) forwardHeader.push(`Cc: ${parsed.cc.text}`);
+
+            mailOptions.text = `${text || ''}\n\n${forwardHeader.join('\n')}\n\n${parsed.text || ''}`;
+
+            if (html || parsed.html) {
+                mailOptions.html = `${html || this.escapeHtml(text || '')}<br><br>` +
+                    `<div>${forwardHeader.map(line => this.escapeHtml(line)).join('<br>')}</div><br>` +
+                    `${parsed.html || parsed.textAsHtml || ''}`;
+            }
+
+            if (includeAttachments) {
+                mailOptions.attachments.push(...this.carryAttachments(parsed));
+            }
+        }
+
+        return this.deliverMessage(mailOptions, saveToSent);
+    }
+
+    /**
+     * Helper: Fetch and parse a single email by UID (raw source kept for forwarding)
+     */
+    async fetchOriginalEmail(uid, folder = 'INBOX') {
+        const imap = await this.imapPool.acquire();
+        try {
+            return await this.fetchParsedMessage(imap, uid, folder);
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Helper: Fetch and parse a single email by UID on an already acquired connection
+     */
+    async fetchParsedMessage(imap, uid, folder = 'INBOX') {
+        const raw = await new Promise((resolve, reject) => {
+            this.imapPool.openBox(imap, folder, true, (err, box) => {  // true = read-only mode
+                if (err) {
+                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                    return;
+                }
+
+                const fetch = imap.fetch(uid.toString(), { bodies: '' });
+                const chunks = [];
+                let found = false;
+
+                fetch.on('message', (msg) => {
+                    found = true;
+                    msg.on('body', (stream) => {
+                        stream.on('data', (chunk) => chunks.push(chunk));
+                    });
+                });
+
+                fetch.once('error', reject);
+
+                fetch.once('end', () => {
+                    if (!found) {
+                        reject(new Error(
+                            `UID not found: ${uid}. It may have been deleted or moved to another folder.`
+                        ));
+                        return;
                     }
-                ]
+
+                    resolve(Buffer.concat(chunks));
+                });
+            });
+        });
+
+        const parsed = await simpleParser(raw);
+        return { parsed, raw };
+    }
+
+    /**
+     * Helper: Build In-Reply-To/References headers from a parsed original
+     */
+    buildThreadingHeaders(parsed) {
+        const references = Array.isArray(parsed.references)
+            ? [...parsed.references]
+            : (parsed.references ? [parsed.references] : []);
+
+        if (parsed.messageId && !references.includes(parsed.messageId)) {
+            references.push(parsed.messageId);
+        }
+
+        return {
+            inReplyTo: parsed.messageId || undefined,
+            references: references.length > 0 ? references : undefined
+        };
+    }
+
+    /**
+     * Helper: Convert parsed attachments into nodemailer attachment objects
+     */
+    carryAttachments(parsed) {
+        return (parsed.attachments || []).map(attachment => ({
+            filename: attachment.filename,
+            content: attachment.content,
+            contentType: attachment.contentType,
+            cid: attachment.contentDisposition === 'inline' ? attachment.cid : undefined
+        }));
+    }
+
+    /**
+     * Helper: Add \Answered flag to an email
+     */
+    async markAnswered(uid, folder = 'INBOX') {
+        const imap = await this.imapPool.acquire();
+
+        return new Promise((resolve, reject) => {
+            this.imapPool.openBox(imap, folder, false, (err) => {  // false = read-write mode
+                if (err) {
+                    this.imapPool.release(imap);
+                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                    return;
+                }
+
+                imap.addFlags(uid.toString(), '\\Answered', (err) => {
+                    this.imapPool.release(imap);
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve();
+                });
+            });
+        });
+    }
+
+    /**
+     * Create a draft in the Drafts folder (IMAP APPEND with \Draft flag)
+     */
+    async createDraft(args = {}) {
+        const { to, cc, bcc, subject, text, html, attachments = [] } = args;
+
+        const attachmentError = this.validateAttachments(attachments);
+        if (attachmentError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${attachmentError}`
+                }]
+            };
+        }
+
+        const mailOptions = {
+            from: this.account.email,
+            to: this.normalizeAddressList(to),
+            cc: this.normalizeAddressList(cc),
+            bcc: this.normalizeAddressList(bcc),
+            subject: subject || '',
+            text: text || '',
+            html: html,
+            attachments: attachments.map(attachment => ({
+                filename: attachment.filename,
+                content: attachment.content,
+                encoding: 'base64',
+                contentType: attachment.contentType
+            }))
+        };
+
+        const imap = await this.imapPool.acquire();
+        try {
+            const draftsFolder = await this.findSpecialFolder(imap, '\\Drafts', ['Drafts', 'Draft']);
+            const { uid, messageId } = await this.saveDraft(imap, mailOptions, draftsFolder);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        uid: uid,
+                        messageId: messageId,
+                        folder: draftsFolder
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Replace a draft: append the new version, then expunge the old one
+     */
+    async updateDraft(args = {}) {
+        const { uid, attachments } = args;
+
+        // Validate input
+        const validationError = this.validateUIDs([uid]);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError.replace('uids', 'uid')}`
+                }]
+            };
+        }
+
+        if (attachments !== undefined) {
+            const attachmentError = this.validateAttachments(attachments);
+            if (attachmentError) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: ${attachmentError}`
+                    }]
+                };
+            }
+        }
+
+        const imap = await this.imapPool.acquire();
+        try {
+            const draftsFolder = await this.findSpecialFolder(imap, '\\Drafts', ['Drafts', 'Draft']);
+            const { parsed } = await this.fetchParsedMessage(imap, uid, draftsFolder);
+
+            // Fields not given keep the values from the current draft.
+            // The body is replaced as a whole so a new text body never sits next to a stale HTML one.
+            const bodyGiven = args.text !== undefined || args.html !== undefined;
+
+            const mailOptions = {
+                from: this.account.email,
+                to: args.to !== undefined ? this.normalizeAddressList(args.to) : (parsed.to?.value || []),
+                cc: args.cc !== undefined ? this.normalizeAddressList(args.cc) : (parsed.cc?.value || []),
+                bcc: args.bcc !== undefined ? this.normalizeAddressList(args.bcc) : (parsed.bcc?.value || []),
+                subject: args.subject !== undefined ? args.subject : (parsed.subject || ''),
+                text: bodyGiven ? (args.text || '') : (parsed.text || ''),
+                html: bodyGiven ? args.html : (parsed.html || undefined),
+                inReplyTo: parsed.inReplyTo,
+                references: parsed.references,
+                attachments: attachments !== undefined
+                    ? attachments.map(attachment => ({
+                        filename: attachment.filename,
+                        content: attachment.content,
+                        encoding: 'base64',
+                        contentType: attachment.contentType
+                    }))
+                    : this.carryAttachments(parsed)
+            };
+
+            // Refuse before saving, so a server without UIDPLUS doesn't end up with both drafts
+            await this.checkPlainExpunge(imap, [uid], draftsFolder);
+            const { uid: newUid, messageId } = await this.saveDraft(imap, mailOptions, draftsFolder);
+            await this.removeMessages(imap, [uid], draftsFolder);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        uid: newUid,
+                        previousUid: uid,
+                        messageId: messageId,
+                        folder: draftsFolder
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * List drafts (same metadata as list_emails, from the Drafts folder)
+     */
+    async listDrafts(count = 10, offset = 0) {
+        const imap = await this.imapPool.acquire();
+        let draftsFolder;
+        try {
+            draftsFolder = await this.findSpecialFolder(imap, '\\Drafts', ['Drafts', 'Draft']);
+        } finally {
+            this.imapPool.release(imap);
+        }
+
+        return this.listEmails(count, draftsFolder, offset);
+    }
+
+    /**
+     * Permanently delete drafts
+     */
+    async deleteDrafts(uids) {
+        // Validate input
+        const validationError = this.validateUIDs(uids);
+        if (validationError) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Error: ${validationError}`
+                }]
+            };
+        }
+
+        const imap = await this.imapPool.acquire();
+        try {
+            const draftsFolder = await this.findSpecialFolder(imap, '\\Drafts', ['Drafts', 'Draft']);
+            await this.openFolder(imap, draftsFolder, false);
+
+            const targets = [...new Set(uids)].sort((a, b) => a - b);
+            const existing = await this.runImapSearch(imap, [['UID', this.toUidRanges(targets).join(',')]]);
+            const notFound = targets.filter(uid => !existing.includes(uid));
+            if (existing.length === 0) {
+                throw new Error(`None of the UIDs exist in "${draftsFolder}": ${targets.join(', ')}`);
+            }
+
+            await this.removeMessages(imap, this.toUidRanges(existing), draftsFolder);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Successfully deleted ${existing.length} draft(s) with UIDs: ${existing.join(', ')}` +
+                          (notFound.length > 0 ? `. Not found: ${notFound.join(', ')}` : '')
+                }]
             };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
+
+    /**
+     * Helper: Build a draft and APPEND it, returning its new UID
+     * Falls back to a Message-ID search when the server doesn't return APPENDUID
+     */
+    async saveDraft(imap, mailOptions, draftsFolder) {
+        const domain = (this.account.email || 'localhost').split('@').pop();
+        const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+        const raw = await this.buildRawMessage({ ...mailOptions, messageId: messageId, date: new Date() });
+        let uid = await this.appendMessage(imap, raw, draftsFolder, ['\\Draft', '\\Seen']);
+
+        if (!uid) {
+            uid = await new Promise((resolve, reject) => {
+                this.imapPool.openBox(imap, draftsFolder, true, (err) => {
+                    if (err) {
+                        reject(new Error(`Failed to open folder "${draftsFolder}": ${err.message}`));
+                        return;
+                    }
+
+                    imap.search([['HEADER', 'MESSAGE-ID', messageId]], (err, results) => {
+                        if (err) {
+                            reject(err);
+                            return;
+                        }
+                        resolve(results && results.length > 0 ? Math.max(...results) : null);
+                    });
+                });
+            });
+        }
+
+        return { uid, messageId };
+    }
+
+    /**
+     * Helper: Permanently remove messages (set \Deleted, then expunge)
+     * Uses UID EXPUNGE when UIDPLUS is available so other \Deleted messages are left alone;
+     * without it, refuses when a plain EXPUNGE would remove other messages too
+     */
+    async removeMessages(imap, uids, folder) {
+        await this.openFolder(imap, folder, false);  // false = read-write mode
+        await this.checkPlainExpunge(imap, uids, folder);
+
+        return new Promise((resolve, reject) => {
+            imap.addFlags(uids, '\\Deleted', (err) => {
+                if (err) {
+                    reject(new Error(`Failed to mark messages as deleted: ${err.message}`));
+                    return;
+                }
+
+                const done = (err) => {
+                    if (err) {
+                        reject(new Error(`Failed to expunge messages: ${err.message}`));
+                        return;
+                    }
+                    resolve();
+                };
+
+                if (imap.serverSupports('UIDPLUS')) {
+                    imap.expunge(uids, done);
+                } else {
+                    imap.expunge(done);
+                }
+            });
         });
+    }
 
-        // Handle tool execution
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-            const { name, arguments: args } = request.params;
+    /**
+     * Helper: Without UIDPLUS only a plain EXPUNGE exists, which also removes every other \Deleted
+     * message of the selected folder - throw if there are any besides uids (numbers or UID ranges)
+     */
+    async checkPlainExpunge(imap, uids, folder) {
+        if (imap.serverSupports('UIDPLUS')) return;
+
+        const targets = new Set([uids].flat().flatMap(set => this.expandUidSet(set)));
+        const others = (await this.runImapSearch(imap, ['DELETED'])).filter(uid => !targets.has(uid));
+        if (others.length > 0) {
+            throw new Error(
+                `The server has no UID EXPUNGE (UIDPLUS) and ${others.length} other email(s) in "${folder}" ` +
+                `are already marked \\Deleted, which a plain EXPUNGE would remove too: ${others.join(', ')}`
+            );
+        }
+    }
+
+    /**
+     * Helper: Send composed mail options via SMTP, then APPEND a copy to the Sent folder
+     * Saving to Sent is best-effort: a failure there does not fail the send
+     */
+    async deliverMessage(mailOptions, saveToSent = true) {
+        const transport = this.createSmtpTransport();
+
+        let info;
+        try {
+            info = await transport.sendMail(mailOptions);
+        } catch (err) {
+            console.error('[SMTP] Send failed:', err.message);
+            throw new Error(`Failed to send email: ${err.message}`);
+        } finally {
+            transport.close();
+        }
+
+        const result = {
+            success: true,
+            messageId: info.messageId,
+            accepted: info.accepted || [],
+            rejected: info.rejected || [],
+            savedToSent: false
+        };
+
+        if (saveToSent) {
+            try {
+                // Reuse the Message-ID so the Sent copy matches what recipients got
+                const raw = await this.buildRawMessage({ ...mailOptions, messageId: info.messageId });
+                const imap = await this.imapPool.acquire();
+                try {
+                    const sentFolder = await this.findSpecialFolder(imap, '\\Sent', 'Sent');
+                    await this.appendMessage(imap, raw, sentFolder, ['\\Seen']);
+                    result.savedToSent = true;
+                    result.sentFolder = sentFolder;
+                } finally {
+                    this.imapPool.release(imap);
+                }
+            } catch (err) {
+                console.error('[IMAP] Failed to save sent copy:', err.message);
+                result.sentFolderError = err.message;
+            }
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify(result, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Helper: Build a raw RFC 822 message (Bcc header kept, for the sender's own copy)
+     */
+    async buildRawMessage(mailOptions) {
+        const message = new MailComposer(mailOptions).compile();
+        message.keepBcc = true;
+        return message.build();
+    }
+
+    /**
+     * Helper: APPEND a raw message to a folder
+     */
+    async appendMessage(imap, raw, folder, flags = []) {
+        return new Promise((resolve, reject) => {
+            imap.append(raw, { mailbox: folder, flags: flags }, (err, uid) => {
+                if (err) {
+                    reject(new Error(`Failed to append message to "${folder}": ${err.message}`));
+                    return;
+                }
+                resolve(uid);
+            });
+        });
+    }
+
+    /**
+     * Helper: Find a folder by SPECIAL-USE attribute (e.g. \Sent, \Drafts), falling back to known names
+     */
+    async findSpecialFolder(imap, attribute, fallbackNames) {
+        const names = Array.isArray(fallbackNames) ? fallbackNames : [fallbackNames];
+
+        return new Promise((resolve, reject) => {
+            imap.getBoxes((err, boxes) => {
+                if (err) {
+                    reject(new Error(`Failed to retrieve folders: ${err.message}`));
+                    return;
+                }
+
+                const folders = this.flattenFolders(boxes);
+                const bySpecialUse = folders.find(f => f.flags.includes(attribute));
+                const byName = names
+                    .map(name => folders.find(f => f.name.toLowerCase() === name.toLowerCase()))
+                    .find(Boolean);
+
+                resolve((bySpecialUse || byName)?.name || names[0]);
+            });
+        });
+    }
+
+    /**
+     * Helper: Build the email metadata object returned by list_emails/search_emails
+     */
+    buildEmailMetadata(header, attrs, seqno) {
+        const parsed = Imap.parseHeader(header);
+
+        return {
+            uid: attrs.uid,                          // Permanent UID
+            sequenceNumber: seqno,                   // Legacy reference
+            from: parsed.from?.[0] || 'Unknown',
+            subject: parsed.subject?.[0] || 'No Subject',
+            date: parsed.date?.[0] || 'Unknown Date',
+            size: attrs.size || 0,                   // Message size in bytes
+            flags: attrs.flags || [],                // IMAP flags
+            hasAttachments: this.hasAttachments(attrs.struct)
+        };
+    }
+
+    /**
+     * Helper: Fetch email metadata for a UID set (or sequence set) on an already opened mailbox
+     * @returns {Promise<Array>} Metadata objects in the same shape as list_emails
+     */
+    async fetchEmailMetadata(imap, source, bySequence = false) {
+        return new Promise((resolve, reject) => {
+            const fetch = (bySequence ? imap.seq : imap).fetch(source, {
+                bodies: 'HEADER.FIELDS (FROM TO SUBJECT DATE)',
+                struct: true,
+                size: true
+            });
+
+            const emails = [];
+
+            fetch.on('message', (msg, seqno) => {
+                let header = '';
+                let attrs = null;
+
+                msg.on('body', (stream) => {
+                    stream.on('data', (chunk) => {
+                        header += chunk.toString('ascii');
+                    });
+                });
+
+                msg.once('attributes', (attributes) => {
+                    attrs = attributes;
+                });
+
+                msg.once('end', () => {
+                    emails.push(this.buildEmailMetadata(header, attrs, seqno));
+                });
+            });
+
+            fetch.once('error', reject);
+            fetch.once('end', () => resolve(emails));
+        });
+    }
+
+    /**
+     * Helper: Detect if email has attachments from BODYSTRUCTURE
+     */
+    hasAttachments(struct) {
+        if (!struct || !Array.isArray(struct)) return false;
 
-            try {
-                switch (name) {
-                    case 'list_emails':
-                        return await this.listEmails(args?.count || 10, args?.folder || 'INBOX', args?.offset || 0);
-
-                    case 'read_email':
-                        return await this.readEmail(args.uids, args.folder);
-
-                    case 'search_emails':
-                        return await this.searchEmails(args?.query || '', {
-                            count: args?.count || 10,
-                            dateFrom: args?.dateFrom || null,
-                            dateTo: args?.dateTo || null,
-                            sender: args?.sender || null,
-                            unreadOnly: args?.unreadOnly || false,
-                            folder: args?.folder || 'INBOX'
-                        });
+        // Recursive check for attachment disposition
+        const checkPart = (part) => {
+            if (!part) return false;
 
-                    case 'delete_emails':
-                        return await this.deleteEmails(args.uids, args.folder);
+            // Check if this part is an attachment
+            if (part.disposition && part.disposition.type === 'attachment') {
+                return true;
+            }
 
-                    case 'archive_emails':
-                        return await this.archiveEmails(args.uids, args.folder);
+            // Recursively check sub-parts
+            if (Array.isArray(part)) {
+                return part.some(p => checkPart(p));
+            }
 
-                    case 'mark_as_read':
-                        return await this.markAsRead(args.uids, args.folder);
+            return false;
+        };
 
-                    case 'mark_as_unread':
-                        return await this.markAsUnread(args.uids, args.folder);
+        return checkPart(struct);
+    }
 
-                    case 'flag_emails':
-                        return await this.flagEmails(args.uids, args.folder);
+    /**
+     * Helper: Collect attachment parts from BODYSTRUCTURE
+     * A part counts as an attachment if it has an attachment disposition or a filename
+     */
+    collectAttachmentParts(struct) {
+        const parts = [];
 
-                    case 'unflag_emails':
-                        return await this.unflagEmails(args.uids, args.folder);
+        const walk = (node) => {
+            if (!node) return;
 
-                    case 'move_emails':
-                        return await this.moveEmails(args.uids, args.folderName, args.sourceFolder);
+            if (Array.isArray(node)) {
+                node.forEach(walk);
+                return;
+            }
 
-                    case 'list_folders':
-                        return await this.listFolders();
+            // Multipart containers have no partID; only leaf parts can be attachments
+            if (!node.partID) return;
 
-                    default:
-                        throw new Error(`Unknown tool: ${name}`);
-                }
-            } catch (error) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Error: ${error.message}`
-                        }
-                    ]
-                };
+            const disposition = node.disposition?.type?.toLowerCase();
+            if (disposition === 'attachment' || this.getPartFilename(node)) {
+                parts.push(node);
             }
-        });
+        };
+
+        walk(struct);
+        return parts;
     }
 
     /**
-     * Create IMAP connection using app-specific password (like the working test script)
+     * Helper: Find a leaf part in BODYSTRUCTURE by part ID
      */
-    async createImapConnection() {
-        return new Promise((resolve, reject) => {
-            if (!process.env.YAHOO_EMAIL || !process.env.YAHOO_APP_PASSWORD) {
-                const error = new Error('YAHOO_EMAIL or YAHOO_APP_PASSWORD environment variables are not set');
-                console.error('[IMAP] Configuration error:', error.message);
-                reject(error);
-                return;
-            }
-
-            const imap = new Imap({
-                user: process.env.YAHOO_EMAIL,
-                password: process.env.YAHOO_APP_PASSWORD,
-                host: 'imap.mail.yahoo.com',
-                port: 993,
-                tls: true,
-                authTimeout: 30000,
-                connTimeout: 30000,
-                tlsOptions: {
-                    rejectUnauthorized: true,
-                    servername: 'imap.mail.yahoo.com',
-                    minVersion: 'TLSv1.2'
-                }
-            });
+    findStructPart(struct, partId) {
+        if (!struct) return null;
 
-            // Add connection timeout handler (35 seconds)
-            const connectionTimeout = setTimeout(() => {
-                console.error('[IMAP] Connection timeout after 35 seconds');
-                imap.end();
-                reject(new Error('Connection timed out. Service may have been sleeping (Render spindown). Please try again.'));
-            }, 35000);
+        if (Array.isArray(struct)) {
+            for (const node of struct) {
+                const found = this.findStructPart(node, partId);
+                if (found) return found;
+            }
+            return null;
+        }
 
-            imap.once('ready', () => {
-                clearTimeout(connectionTimeout);
-                resolve(imap);
-            });
+        return struct.partID === partId ? struct : null;
+    }
 
-            imap.once('error', (err) => {
-                clearTimeout(connectionTimeout);
-                console.error('[IMAP] Connection error:', err.message);
+    /**
+     * Helper: Get a part's filename from Content-Disposition or Content-Type parameters
+     * Handles RFC 2231 (filename*=utf-8''...) and RFC 2047 encoded-word values
+     */
+    getPartFilename(part) {
+        const sources = [part.disposition?.params, part.params];
 
-                // Provide enhanced error messages based on error type
-                let errorMessage = err.message;
+        for (const params of sources) {
+            if (!params) continue;
 
-                // Authentication errors
-                if (err.message.includes('Invalid credentials') ||
-                    err.message.includes('authentication failed') ||
-                    err.message.includes('AUTHENTICATIONFAILED')) {
-                    errorMessage = `Authentication failed: ${err.message}. Please check Yahoo Mail app password. Regenerate at https://login.yahoo.com/account/security`;
-                }
-                // Network/connection errors
-                else if (err.message.includes('ENOTFOUND') ||
-                         err.message.includes('ECONNREFUSED') ||
-                         err.message.includes('ETIMEDOUT') ||
-                         err.message.includes('getaddrinfo')) {
-                    errorMessage = `Cannot connect to Yahoo Mail servers: ${err.message}. Check internet connection.`;
-                }
-                // Timeout errors
-                else if (err.message.includes('Timed out') ||
-                         err.message.includes('timeout')) {
-                    errorMessage = `Connection timed out: ${err.message}. Service may have been sleeping (Render spindown). Please try again.`;
+            for (const key of ['filename', 'name']) {
+                if (params[`${key}*`]) {
+                    const decoded = libmime.parseHeaderValue(`x; ${key}*=${params[`${key}*`]}`).params[key];
+                    if (decoded) return decoded;
                 }
 
-                reject(new Error(errorMessage));
-            });
+                if (params[key]) {
+                    return libmime.decodeWords(params[key]);
+                }
+            }
+        }
 
-            imap.connect();
-        });
+        return null;
     }
 
     /**
-     * List recent emails with enriched metadata
+     * Helper: Decode a fetched body part according to its Content-Transfer-Encoding
      */
-    async listEmails(count = 10, folder = 'INBOX', offset = 0) {
-        // Validate count parameter
-        if (count < 1) {
-            return {
-                content: [{
-                    type: 'text',
-                    text: 'Error: count must be at least 1'
-                }]
-            };
+    decodePartBody(buffer, encoding) {
+        switch ((encoding || '').toLowerCase()) {
+            case 'base64':
+                return Buffer.from(buffer.toString('ascii'), 'base64');
+            case 'quoted-printable':
+                return libqp.decode(buffer.toString('ascii'));
+            default:
+                return buffer;
         }
+    }
 
-        if (count > 50) {
-            return {
-                content: [{
-                    type: 'text',
-                    text: 'Error: count cannot exceed 50 (use search or filters for larger results)'
-                }]
-            };
-        }
+    /**
+     * Helper: Build a yahoo-mail:// resource URI (folder names are URI-encoded)
+     */
+    buildResourceUri(folder, uid = null, partId = null) {
+        let uri = `yahoo-mail://${encodeURIComponent(folder)}`;
+        if (uid) uri += `/${uid}`;
+        if (partId) uri += `/attachments/${partId}`;
+        return uri;
+    }
 
-        // Validate offset
-        if (offset < 0) {
-            return {
-                content: [{
-                    type: 'text',
-                    text: 'Error: offset must be non-negative'
-                }]
-            };
+    /**
+     * Helper: Parse a yahoo-mail:// resource URI into folder, UID and attachment part ID
+     */
+    parseResourceUri(uri) {
+        const match = /^yahoo-mail:\/\/([^/]+)(?:\/(\d+)(?:\/attachments\/(\d+(?:\.\d+)*))?)?\/?$/.exec(uri || '');
+        if (!match) {
+            throw new Error(
+                `Invalid resource URI: ${uri}. Expected yahoo-mail://{folder}, yahoo-mail://{folder}/{uid} ` +
+                'or yahoo-mail://{folder}/{uid}/attachments/{partId}'
+            );
         }
 
-        const imap = await this.createImapConnection();
+        return {
+            folder: decodeURIComponent(match[1]),
+            uid: match[2] ? parseInt(match[2], 10) : null,
+            partId: match[3] || null
+        };
+    }
 
-        return new Promise((resolve, reject) => {
-            imap.openBox(folder, true, (err, box) => {
-                if (err) {
-                    imap.end();
-                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
-                    return;
-                }
+    /**
+     * Helper: Flatten nested folder structure for list_folders
+     */
+    flattenFolders(boxes, parent = null) {
+        const result = [];
 
-                const total = box.messages.total;
+        for (const [name, box] of Object.entries(boxes)) {
+            const fullName = parent ? `${parent}${box.delimiter || '/'}${name}` : name;
 
-                if (total === 0) {
-                    imap.end();
-                    resolve({
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify({
-                                emails: [],
-                                totalCount: 0,
-                                offset: 0,
-                                limit: count,
-                                folder: folder
-                            }, null, 2)
-                        }]
-                    });
-                    return;
-                }
+            // Skip NOSELECT folders (can't select them)
+            const isNoSelect = box.attribs && box.attribs.includes('\\Noselect');
 
-                // Calculate range with offset
-                // If total=100, offset=10, count=10: fetch messages 81-90 (reversed for newest first)
-                const startSeq = Math.max(1, total - offset - count + 1);
-                const endSeq = Math.max(1, total - offset);
+            result.push({
+                name: fullName,
+                delimiter: box.delimiter || '/',
+                flags: box.attribs || [],
+                selectable: !isNoSelect
+            });
 
-                if (startSeq > endSeq) {
-                    imap.end();
-                    resolve({
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify({
-                                emails: [],
-                                totalCount: total,
-                                offset: offset,
-                                limit: count,
-                                folder: folder,
-                                message: 'Offset exceeds available messages'
-                            }, null, 2)
-                        }]
-                    });
-                    return;
-                }
+            // Recursively process children
+            if (box.children) {
+                result.push(...this.flattenFolders(box.children, fullName));
+            }
+        }
 
-                // Fetch with struct for attachments and size
-                const fetch = imap.seq.fetch(`${startSeq}:${endSeq}`, {
-                    bodies: 'HEADER.FIELDS (FROM TO SUBJECT DATE)',
-                    struct: true
-                });
+        return result;
+    }
+
+    /**
+     * Helper: Validate UIDs array
+     */
+    validateUIDs(uids) {
+        if (!uids) {
+            return 'uids is required';
+        }
 
-                const emails = [];
+        if (!Array.isArray(uids)) {
+            return 'uids must be an array';
+        }
 
-                fetch.on('message', (msg, seqno) => {
-                    let header = '';
-                    let attrs = null;
+        if (uids.length === 0) {
+            return 'uids cannot be empty';
+        }
 
-                    msg.on('body', (stream, info) => {
-                        stream.on('data', (chunk) => {
-                            header += chunk.toString('ascii');
-                        });
-                    });
+        const invalidValues = uids.filter(n =>
+            n === undefined ||
+            n === null ||
+            typeof n !== 'number' ||
+            n <= 0 ||
+            !Number.isInteger(n)
+        );
 
-                    msg.once('attributes', (attributes) => {
-                        attrs = attributes;
-                    });
+        if (invalidValues.length > 0) {
+            return 'uids contains invalid values (must be positive integers)';
+        }
 
-                    msg.once('end', () => {
-                        const parsed = Imap.parseHeader(header);
-
-                        emails.push({
-                            uid: attrs.uid,                          // NEW: Permanent UID
-                            sequenceNumber: seqno,                   // Legacy reference
-                            from: parsed.from?.[0] || 'Unknown',
-                            subject: parsed.subject?.[0] || 'No Subject',
-                            date: parsed.date?.[0] || 'Unknown Date',
-                            size: attrs.size || 0,                   // NEW: Message size in bytes
-                            flags: attrs.flags || [],                // NEW: IMAP flags
-                            hasAttachments: this.hasAttachments(attrs.struct) // NEW
-                        });
-                    });
-                });
+        return null;
+    }
 
-                fetch.once('error', (err) => {
-                    imap.end();
-                    reject(err);
-                });
+    /**
+     * Helper: Combine IMAP search criteria with OR (node-imap's OR takes exactly two operands)
+     */
+    buildOrCriteria(criteria) {
+        if (criteria.length === 1) return criteria[0];
+        return criteria.reduce((combined, criterion) => ['OR', combined, criterion]);
+    }
 
-                fetch.once('end', () => {
-                    imap.end();
+    /**
+     * Helper: Normalize a recipient list (string, comma-separated string, or array) to an array
+     */
+    normalizeAddressList(addresses) {
+        if (!addresses) return [];
 
-                    // Sort by sequence number (newest first)
-                    emails.sort((a, b) => b.sequenceNumber - a.sequenceNumber);
+        const list = Array.isArray(addresses) ? addresses : [addresses];
 
-                    resolve({
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify({
-                                emails: emails,
-                                totalCount: total,
-                                offset: offset,
-                                limit: count,
-                                folder: folder
-                            }, null, 2)
-                        }]
-                    });
-                });
-            });
-        });
+        return list
+            .filter(address => typeof address === 'string')
+            .map(address => address.trim())
+            .filter(address => address.length > 0);
+    }
+
+    /**
+     * Helper: Add a "Re:"/"Fwd:" prefix to a subject unless it already has one
+     */
+    prefixSubject(subject, prefix) {
+        const original = (subject || '').trim();
+        const pattern = prefix === 'Re' ? /^re:/i : /^(fwd?|fw):/i;
+
+        return pattern.test(original) ? original : `${prefix}: ${original}`;
+    }
+
+    /**
+     * Helper: Quote plain text for a reply ("> " prefix on each line)
+     */
+    quoteText(text) {
+        return text
+            .replace(/\r\n/g, '\n')
+            .split('\n')
+            .map(line => (line.startsWith('>') ? `>${line}` : `> ${line}`))
+            .join('\n');
+    }
+
+    /**
+     * Helper: Escape text for inclusion in an HTML body
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     /**
-     * Read specific emails by UIDs (supports batch reading)
+     * Helper: Validate attachments array for outgoing mail
+     * @returns {string|null} Error message if invalid, null if valid
      */
-    async readEmail(uids, folder = 'INBOX') {
-        // Support both single number and array for backward compatibility
-        if (!Array.isArray(uids)) {
-            uids = [uids];
+    validateAttachments(attachments) {
+        if (!Array.isArray(attachments)) {
+            return 'attachments must be an array';
         }
 
-        return this.readEmails(uids, folder);
+        for (const [index, attachment] of attachments.entries()) {
+            if (!attachment || typeof attachment.filename !== 'string' || attachment.filename.length === 0) {
+                return `attachments[${index}] is missing a filename`;
+            }
+
+            if (typeof attachment.content !== 'string') {
+                return `attachments[${index}] content must be a base64-encoded string`;
+            }
+        }
+
+        return null;
     }
 
     /**
-     * Search emails with advanced filters
+     * List all available IMAP folders, with STATUS counts of each selectable one
      */
-    async searchEmails(query, options = {}) {
-        const {
-            count = 10,
-            dateFrom = null,
-            dateTo = null,
-            sender = null,
-            unreadOnly = false,
-            folder = 'INBOX'
-        } = options;
+    async listFolders(includeStatus = true) {
+        const imap = await this.imapPool.acquire();
+
+        try {
+            const { folders } = await this.getFolderTree(imap);
+
+            // STATUS reports counts without opening (SELECTing) each folder
+            if (includeStatus) {
+                for (const folder of folders.filter(f => f.selectable)) {
+                    try {
+                        const status = await this.getFolderStatus(imap, folder.name);
+                        folder.status = {
+                            messages: status.messages.total,
+                            unseen: status.messages.unseen,
+                            recent: status.messages.new,
+                            uidNext: status.uidnext,
+                            uidValidity: status.uidvalidity,
+                            ...(status.highestmodseq && { highestModseq: status.highestmodseq })
+                        };
+                    } catch (error) {
+                        folder.status = { error: error.message };
+                    }
+                }
+            }
+
+            const counted = folders.filter(f => f.status && f.status.messages !== undefined);
 
-        // Validate query parameter (allow empty for date-only searches)
-        if (query === undefined || query === null) {
             return {
                 content: [{
                     type: 'text',
-                    text: 'Error: query is required (use empty string "" for searches without text criteria)'
+                    text: JSON.stringify({
+                        folders: folders,
+                        count: folders.length,
+                        ...(includeStatus && {
+                            totalMessages: counted.reduce((sum, f) => sum + f.status.messages, 0),
+                            totalUnseen: counted.reduce((sum, f) => sum + f.status.unseen, 0)
+                        })
+                    }, null, 2)
                 }]
             };
+        } finally {
+            this.imapPool.release(imap);
         }
+    }
+
+    /**
+     * Storage and message quota of the quota roots a folder belongs to (IMAP QUOTA, GETQUOTAROOT)
+     */
+    async getQuota(folder = 'INBOX') {
+        const imap = await this.imapPool.acquire();
+
+        try {
+            if (!imap.serverSupports('QUOTA')) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: JSON.stringify({
+                            folder: folder,
+                            supported: false,
+                            message: 'This server does not support the IMAP QUOTA extension, so storage usage is not available. mailbox_stats shows how much space the emails take.'
+                        }, null, 2)
+                    }]
+                };
+            }
+
+            const quotas = await this.runMailboxCommand(imap, 'getQuotaRoot', folder);
+            const percent = (usage, limit) => (limit > 0 ? Math.round((usage / limit) * 1000) / 10 : null);
+
+            // STORAGE is counted in units of 1024 octets (RFC 2087)
+            const roots = Object.entries(quotas || {}).map(([root, resources]) => ({
+                root: root,
+                ...(resources.storage && {
+                    storage: {
+                        usedBytes: resources.storage.usage * 1024,
+                        limitBytes: resources.storage.limit * 1024,
+                        percentUsed: percent(resources.storage.usage, resources.storage.limit)
+                    }
+                }),
+                ...(resources.message && {
+                    messages: {
+                        used: resources.message.usage,
+                        limit: resources.message.limit,
+                        percentUsed: percent(resources.message.usage, resources.message.limit)
+                    }
+                }),
+                ...Object.fromEntries(Object.entries(resources)
+                    .filter(([name]) => !['storage', 'message'].includes(name))
+                    .map(([name, value]) => [name, { used: value.usage, limit: value.limit }]))
+            }));
 
-        // Validate count parameter
-        if (count < 1) {
             return {
                 content: [{
                     type: 'text',
-                    text: 'Error: count must be at least 1'
+                    text: JSON.stringify({
+                        folder: folder,
+                        supported: true,
+                        quotaRoots: roots,
+                        ...(roots.length === 0 && { message: 'No quota applies to this folder' })
+                    }, null, 2)
                 }]
             };
+        } finally {
+            this.imapPool.release(imap);
         }
+    }
 
-        const imap = await this.createImapConnection();
+    /**
+     * Create a folder, creating missing parent folders first
+     */
+    async createFolder(folder, subscribe = true) {
+        if (!folder || typeof folder !== 'string' || !folder.trim()) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: folder is required'
+                }]
+            };
+        }
 
-        return new Promise((resolve, reject) => {
-            imap.openBox(folder, true, (err, box) => {
-                if (err) {
-                    imap.end();
-                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
-                    return;
-                }
+        const imap = await this.imapPool.acquire();
 
-                // Build search criteria
-                const criteria = [];
+        try {
+            const { folders, delimiter } = await this.getFolderTree(imap);
+            const segments = this.splitFolderPath(folder, delimiter);
+            const target = segments.join(delimiter);
 
-                // Text search (subject or from)
-                if (query && query.trim().length > 0) {
-                    criteria.push([
-                        'OR',
-                        ['HEADER', 'SUBJECT', query],
-                        ['HEADER', 'FROM', query]
-                    ]);
-                }
+            if (this.findFolder(folders, target)) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: folder "${target}" already exists`
+                    }]
+                };
+            }
 
-                // Sender filter
-                if (sender && sender.trim().length > 0) {
-                    criteria.push(['HEADER', 'FROM', sender]);
-                }
+            const created = [];
+            for (let depth = 1; depth <= segments.length; depth++) {
+                const name = segments.slice(0, depth).join(delimiter);
+                if (this.findFolder(folders, name)) continue;
 
-                // Date range filters
-                if (dateFrom) {
-                    try {
-                        const fromDate = new Date(dateFrom);
-                        if (!isNaN(fromDate.getTime())) {
-                            criteria.push(['SINCE', fromDate]);
-                        }
-                    } catch (e) {
-                        imap.end();
-                        reject(new Error(`Invalid dateFrom format: ${dateFrom}. Use ISO 8601 format.`));
-                        return;
-                    }
-                }
+                await this.runMailboxCommand(imap, 'addBox', name);
+                created.push(name);
 
-                if (dateTo) {
-                    try {
-                        const toDate = new Date(dateTo);
-                        if (!isNaN(toDate.getTime())) {
-                            criteria.push(['BEFORE', toDate]);
-                        }
-                    } catch (e) {
-                        imap.end();
-                        reject(new Error(`Invalid dateTo format: ${dateTo}. Use ISO 8601 format.`));
-                        return;
-                    }
+                if (subscribe) {
+                    await this.runMailboxCommand(imap, 'subscribeBox', name);
                 }
+            }
 
-                // Unread only filter
-                if (unreadOnly) {
-                    criteria.push('UNSEEN');
-                }
+            console.error(`[Folders] Created ${created.join(', ')}`);
+            this.sendToClients({ method: 'notifications/resources/list_changed' });
 
-                // If no criteria, search all
-                if (criteria.length === 0) {
-                    criteria.push('ALL');
-                }
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        folder: target,
+                        created: created,
+                        subscribed: subscribe,
+                        delimiter: delimiter
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
+    }
 
-                // CRITICAL: imap.search() returns UIDs by default (NOT sequence numbers)
-                imap.search(criteria, (err, results) => {
-                    if (err) {
-                        imap.end();
-                        reject(err);
-                        return;
-                    }
+    /**
+     * Rename (or move) a folder; child folders and watchers follow it
+     */
+    async renameFolder(folder, newName) {
+        if (!folder || !newName) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: folder and newName are required'
+                }]
+            };
+        }
 
-                    if (!results || results.length === 0) {
-                        imap.end();
-                        resolve({
-                            content: [{
-                                type: 'text',
-                                text: JSON.stringify({
-                                    emails: [],
-                                    totalMatches: 0,
-                                    query: query,
-                                    filters: options,
-                                    folder: folder
-                                }, null, 2)
-                            }]
-                        });
-                        return;
-                    }
+        const imap = await this.imapPool.acquire();
+        let source;
+        let target;
+        let delimiter;
 
-                    // Get the most recent results (UIDs are already sorted)
-                    const limitedResults = results.slice(-count);
+        try {
+            const tree = await this.getFolderTree(imap);
+            delimiter = tree.delimiter;
+            source = this.splitFolderPath(folder, delimiter).join(delimiter);
+            target = this.splitFolderPath(newName, delimiter).join(delimiter);
 
-                    // Fetch details for these UIDs
-                    const fetch = imap.fetch(limitedResults, {
-                        bodies: 'HEADER.FIELDS (FROM TO SUBJECT DATE)',
-                        struct: true
-                    });
+            const existing = this.findFolder(tree.folders, source);
+            if (!existing) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: folder "${folder}" does not exist. Use list_folders to see available folders.`
+                    }]
+                };
+            }
+            source = existing.name;
+
+            if (source.toUpperCase() === 'INBOX') {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: 'Error: INBOX cannot be renamed'
+                    }]
+                };
+            }
+
+            if (this.findFolder(tree.folders, target)) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: folder "${target}" already exists`
+                    }]
+                };
+            }
 
-                    const emails = [];
+            if (target.startsWith(source + delimiter)) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: cannot move "${source}" inside itself`
+                    }]
+                };
+            }
 
-                    fetch.on('message', (msg, seqno) => {
-                        let header = '';
-                        let attrs = null;
+            this.imapPool.invalidateMailbox(source, delimiter);
+            await this.runMailboxCommand(imap, 'renameBox', source, target);
 
-                        msg.on('body', (stream, info) => {
-                            stream.on('data', (chunk) => {
-                                header += chunk.toString('ascii');
-                            });
-                        });
+            // Subscriptions are per name, so carry them over for the folder and its children (best-effort)
+            const subscribed = await this.getSubscribedFolderNames(imap).catch(() => []);
+            for (const name of subscribed.filter(n => n === source || n.startsWith(source + delimiter))) {
+                await this.runMailboxCommand(imap, 'unsubscribeBox', name).catch(() => {});
+                await this.runMailboxCommand(imap, 'subscribeBox', target + name.substring(source.length)).catch(() => {});
+            }
+        } finally {
+            this.imapPool.release(imap);
+        }
 
-                        msg.once('attributes', (attributes) => {
-                            attrs = attributes;
-                        });
+        console.error(`[Folders] Renamed ${source} -> ${target}`);
+        await this.forgetCachedFolders(source, delimiter);
+        const watchersMoved = await this.moveWatchers(source, target, delimiter);
+        this.sendToClients({ method: 'notifications/resources/list_changed' });
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    success: true,
+                    folder: source,
+                    newName: target,
+                    ...(watchersMoved.length > 0 && { watchersMoved })
+                }, null, 2)
+            }]
+        };
+    }
 
-                        msg.once('end', () => {
-                            const parsed = Imap.parseHeader(header);
-                            emails.push({
-                                uid: attrs.uid,
-                                sequenceNumber: seqno,
-                                from: parsed.from?.[0] || 'Unknown',
-                                subject: parsed.subject?.[0] || 'No Subject',
-                                date: parsed.date?.[0] || 'Unknown Date',
-                                size: attrs.size || 0,
-                                flags: attrs.flags || [],
-                                hasAttachments: this.hasAttachments(attrs.struct)
-                            });
-                        });
-                    });
+    /**
+     * Delete a folder, refusing anything that would silently lose mail or break the account layout
+     */
+    async deleteFolder(folder, force = false, options = {}) {
+        if (!folder) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: folder is required'
+                }]
+            };
+        }
 
-                    fetch.once('error', (err) => {
-                        imap.end();
-                        reject(err);
-                    });
+        const imap = await this.imapPool.acquire();
+        let target;
+        let delimiter;
+        let messageCount;
+
+        try {
+            const tree = await this.getFolderTree(imap);
+            delimiter = tree.delimiter;
+            const existing = this.findFolder(tree.folders, this.splitFolderPath(folder, delimiter).join(delimiter));
 
-                    fetch.once('end', () => {
-                        imap.end();
+            if (!existing) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: folder "${folder}" does not exist. Use list_folders to see available folders.`
+                    }]
+                };
+            }
+            target = existing.name;
+
+            const specialUse = existing.flags.find(flag =>
+                ['\\Sent', '\\Trash', '\\Drafts', '\\Junk', '\\Archive', '\\All'].includes(flag));
+            if (target.toUpperCase() === 'INBOX' || specialUse) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: "${target}" is a system folder${specialUse ? ` (${specialUse})` : ''} and cannot be deleted`
+                    }]
+                };
+            }
+
+            const children = tree.folders.filter(f => f.name.startsWith(target + delimiter)).map(f => f.name);
+            if (children.length > 0) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: "${target}" has child folders (${children.join(', ')}). Delete or move them first.`
+                    }]
+                };
+            }
+
+            if (existing.selectable) {
+                const status = await this.getFolderStatus(imap, target);
+                messageCount = status.messages.total;
+
+                if (messageCount > 0 && force && !this.allowPermanentDelete) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error: "${target}" still contains ${messageCount} email(s) and permanent deletion is disabled on this server (ALLOW_PERMANENT_DELETE=false). Move them elsewhere first.`
+                        }]
+                    };
+                }
+
+                if (messageCount > 0 && !force) {
+                    return {
+                        content: [{
+                            type: 'text',
+                            text: `Error: "${target}" still contains ${messageCount} email(s). Move them elsewhere first, or pass force: true to permanently delete them with the folder.`
+                        }]
+                    };
+                }
 
-                        // Sort by UID (newest first typically)
-                        emails.sort((a, b) => b.uid - a.uid);
+                // Deleting mail with the folder takes two steps, like expunge_emails/empty_folder
+                if (messageCount > 0) {
+                    const scope = { operation: 'deleted folder', folder: target, uidValidity: status.uidvalidity, messages: messageCount };
 
-                        resolve({
+                    if (options.dryRun || !options.confirmationToken) {
+                        const { token, expiresAt } = this.createConfirmationToken(scope);
+                        return {
                             content: [{
                                 type: 'text',
                                 text: JSON.stringify({
-                                    emails: emails,
-                                    totalMatches: results.length,
-                                    returned: emails.length,
-                                    query: query,
-                                    filters: options,
-                                    folder: folder
+                                    dryRun: true,
+                                    folder: target,
+                                    wouldDeleteEmails: messageCount,
+                                    warning: `Deleting "${target}" permanently deletes its ${messageCount} email(s) and cannot be undone. Call delete_folder again with force: true and this confirmationToken to delete it.`,
+                                    confirmationToken: token,
+                                    confirmationExpiresAt: expiresAt
                                 }, null, 2)
                             }]
-                        });
-                    });
-                });
-            });
-        });
-    }
-
-    /**
-     * Validate sequence numbers array for all email operations
-     * @returns {string|null} Error message if invalid, null if valid
-     */
-    validateSequenceNumbers(sequenceNumbers) {
-        if (!sequenceNumbers) {
-            return 'sequenceNumbers is required';
-        }
+                        };
+                    }
 
-        if (!Array.isArray(sequenceNumbers)) {
-            return 'sequenceNumbers must be an array';
-        }
+                    const confirmationError = this.validateConfirmation(options.confirmationToken, scope);
+                    if (confirmationError) {
+                        return {
+                            content: [{
+                                type: 'text',
+                                text: `Error: ${confirmationError}`
+                            }]
+                        };
+                    }
+                }
+            }
 
-        if (sequenceNumbers.length === 0) {
-            return 'sequenceNumbers cannot be empty';
-        }
+            if (options.dryRun) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: JSON.stringify({
+                            dryRun: true,
+                            folder: target,
+                            wouldDeleteEmails: messageCount || 0
+                        }, null, 2)
+                    }]
+                };
+            }
 
-        const invalidValues = sequenceNumbers.filter(n => n === undefined || n === null || typeof n !== 'number');
-        if (invalidValues.length > 0) {
-            return 'sequenceNumbers contains invalid values (must be numbers)';
+            this.stopWatchers(target, delimiter);
+            this.imapPool.invalidateMailbox(target, delimiter);
+            await this.runMailboxCommand(imap, 'unsubscribeBox', target).catch(() => {});
+            await this.runMailboxCommand(imap, 'delBox', target);
+        } finally {
+            this.imapPool.release(imap);
         }
 
-        return null;
+        console.error(`[Folders] Deleted ${target}`);
+        await this.forgetCachedFolders(target, delimiter);
+        this.sendToClients({ method: 'notifications/resources/list_changed' });
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    success: true,
+                    folder: target,
+                    deletedEmails: messageCount || 0
+                }, null, 2)
+            }]
+        };
     }
 
     /**
-     * Helper method for batch email modification operations using UIDs
+     * Subscribe to or unsubscribe from a folder
      */
-    async modifyEmails(uids, operation, operationName, folder = 'INBOX') {
-        // Validate input
-        const validationError = this.validateUIDs(uids);
-        if (validationError) {
+    async setFolderSubscription(folder, subscribe) {
+        if (!folder) {
             return {
                 content: [{
                     type: 'text',
-                    text: `Error: ${validationError}`
+                    text: 'Error: folder is required'
                 }]
             };
         }
 
-        const imap = await this.createImapConnection();
-
-        return new Promise((resolve, reject) => {
-            imap.openBox(folder, false, (err, box) => {  // false = read-write mode
-                if (err) {
-                    imap.end();
-                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
-                    return;
-                }
-
-                const successfulUIDs = [];
-                const failedUIDs = [];
-                let processedCount = 0;
-
-                // Process each UID individually to ensure all are processed
-                const processNextUID = () => {
-                    if (processedCount >= uids.length) {
-                        // All UIDs processed
-                        imap.end();
-
-                        if (failedUIDs.length === uids.length) {
-                            // All failed
-                            reject(new Error(`Failed to ${operationName} ${failedUIDs.length} email(s). UIDs may not exist: ${failedUIDs.join(', ')}`));
-                        } else if (successfulUIDs.length > 0) {
-                            // At least some succeeded
-                            const message = failedUIDs.length > 0
-                                ? `Successfully ${operationName} ${successfulUIDs.length} of ${uids.length} email(s). ` +
-                                  `Successful: ${successfulUIDs.join(', ')}. Failed: ${failedUIDs.join(', ')}`
-                                : `Successfully ${operationName} ${successfulUIDs.length} email(s) with UIDs: ${successfulUIDs.join(', ')}`;
-
-                            resolve({
-                                content: [{
-                                    type: 'text',
-                                    text: message
-                                }]
-                            });
-                        } else {
-                            reject(new Error(`Failed to ${operationName} any emails`));
-                        }
-                        return;
-                    }
-
-                    const uid = uids[processedCount];
-                    processedCount++;
+        const imap = await this.imapPool.acquire();
 
-                    // Execute the UID-based operation for this single UID
-                    operation(imap, uid.toString(), (err) => {
-                        if (err) {
-                            console.error(`[UID ${uid}] Failed to ${operationName}:`, err.message);
-                            failedUIDs.push(uid);
-                        } else {
-                            successfulUIDs.push(uid);
-                        }
+        try {
+            const { folders, delimiter } = await this.getFolderTree(imap);
+            const name = this.splitFolderPath(folder, delimiter).join(delimiter);
+            const existing = this.findFolder(folders, name);
 
-                        // Continue to next UID (don't stop on errors)
-                        processNextUID();
-                    });
+            // Unsubscribing a folder that no longer exists is how stale subscriptions get cleaned up
+            if (!existing && subscribe) {
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Error: folder "${folder}" does not exist. Use list_folders to see available folders.`
+                    }]
                 };
+            }
 
-                // Start processing
-                processNextUID();
-            });
-        });
+            const target = existing ? existing.name : name;
+            await this.runMailboxCommand(imap, subscribe ? 'subscribeBox' : 'unsubscribeBox', target);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        folder: target,
+                        subscribed: subscribe
+                    }, null, 2)
+                }]
+            };
+        } finally {
+            this.imapPool.release(imap);
+        }
     }
 
     /**
-     * Helper method for reading multiple emails using UIDs
+     * Report header cache state, optionally syncing a folder first
      */
-    async readEmails(uids, folder = 'INBOX') {
-        // Validate input
-        const validationError = this.validateUIDs(uids);
-        if (validationError) {
+    async getSyncStatus(folder = null, sync = false) {
+        if (!this.headerCache) {
             return {
                 content: [{
                     type: 'text',
-                    text: `Error: ${validationError}`
+                    text: JSON.stringify({
+                        enabled: false,
+                        message: 'Header cache is disabled. Set HEADER_CACHE_DIR to enable it.'
+                    }, null, 2)
+                }]
+            };
+        }
+
+        if (sync && !folder) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: 'Error: folder is required when sync is true'
                 }]
             };
         }
 
-        const imap = await this.createImapConnection();
+        let syncedInMs;
+        if (sync) {
+            const started = Date.now();
+            const imap = await this.imapPool.acquire();
+            try {
+                const box = await this.openFolder(imap, folder, true);
+                await this.headerCache.sync(imap, folder, box);
+            } finally {
+                this.imapPool.release(imap);
+            }
+            syncedInMs = Date.now() - started;
+        }
 
-        return new Promise((resolve, reject) => {
-            imap.openBox(folder, true, (err, box) => {  // true = read-only mode
+        const folders = folder ? [folder] : await this.headerCache.listFolders();
+        const statuses = await Promise.all(folders.map(name => this.headerCache.getStatus(name)));
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    enabled: true,
+                    directory: this.headerCache.directory,
+                    ...(syncedInMs !== undefined && { syncedInMs }),
+                    folders: statuses
+                }, null, 2)
+            }]
+        };
+    }
+
+    /**
+     * Helper: List all folders plus the server's hierarchy delimiter
+     */
+    async getFolderTree(imap) {
+        const boxes = await new Promise((resolve, reject) => {
+            imap.getBoxes((err, result) => {
                 if (err) {
-                    imap.end();
-                    reject(new Error(`Failed to open folder "${folder}": ${err.message}`));
+                    reject(new Error(`Failed to retrieve folders: ${err.message}`));
                     return;
                 }
-
-                const source = uids.join(',');
-
-                // CRITICAL: Use imap.fetch() (NOT imap.seq.fetch) for UID-based fetch
-                const fetch = imap.fetch(source, {
-                    bodies: '',
-                    struct: true
-                });
-
-                const emails = [];
-                const foundUIDs = new Set();
-
-                fetch.on('message', (msg, seqno) => {
-                    let buffer = '';
-                    let attrs = null;
-
-                    msg.on('body', (stream, info) => {
-                        stream.on('data', (chunk) => {
-                            buffer += chunk.toString('ascii');
-                        });
-                    });
-
-                    msg.once('attributes', (attributes) => {
-                        attrs = attributes;
-                        foundUIDs.add(attributes.uid);
-                    });
-
-                    msg.once('end', () => {
-                        simpleParser(buffer, (err, parsed) => {
-                            if (err) {
-                                console.error('Error parsing email:', err);
-                                return;
-                            }
-
-                            emails.push({
-                                uid: attrs.uid,
-                                sequenceNumber: seqno,  // Still include for reference
-                                from: parsed.from?.text || 'Unknown',
-                                to: parsed.to?.text || 'Unknown',
-                                subject: parsed.subject || 'No Subject',
-                                date: parsed.date || 'Unknown Date',
-                                size: attrs.size || 0,
-                                flags: attrs.flags || [],
-                                hasAttachments: this.hasAttachments(attrs.struct),
-                                content: parsed.text || parsed.html || 'No content available'
-                            });
-                        });
-                    });
-                });
-
-                fetch.once('error', (err) => {
-                    imap.end();
-                    reject(err);
-                });
-
-                fetch.once('end', () => {
-                    imap.end();
-
-                    // Check for missing UIDs
-                    const missingUIDs = uids.filter(uid => !foundUIDs.has(uid));
-                    if (missingUIDs.length > 0) {
-                        reject(new Error(
-                            `UIDs not found: ${missingUIDs.join(', ')}. ` +
-                            `Found ${emails.length} of ${uids.length} requested emails. ` +
-                            `Missing UIDs may have been deleted or moved to another folder.`
-                        ));
-                        return;
-                    }
-
-                    // Sort by UID for consistent output
-                    emails.sort((a, b) => a.uid - b.uid);
-
-                    // Format output
-                    const emailContent = emails.map(email =>
-                        `📧 Email UID: ${email.uid} (Seq #${email.sequenceNumber})\n\n` +
-                        `From: ${email.from}\n` +
-                        `To: ${email.to}\n` +
-                        `Subject: ${email.subject}\n` +
-                        `Date: ${email.date}\n` +
-                        `Size: ${email.size} bytes\n` +
-                        `Flags: ${email.flags.join(', ') || 'None'}\n` +
-                        `Has Attachments: ${email.hasAttachments ? 'Yes' : 'No'}\n\n` +
-                        `--- Content ---\n` +
-                        `${email.content}`
-                    ).join('\n\n' + '='.repeat(80) + '\n\n');
-
-                    resolve({
-                        content: [{
-                            type: 'text',
-                            text: emailContent
-                        }]
-                    });
-                });
+                resolve(result);
             });
         });
-    }
 
-    /**
-     * Mark emails as read
-     */
-    async markAsRead(uids, folder = 'INBOX') {
-        return this.modifyEmails(
-            uids,
-            (imap, source, callback) => imap.addFlags(source, '\\Seen', callback),  // NO .seq
-            'marked as read',
-            folder
-        );
-    }
+        const folders = this.flattenFolders(boxes);
+        const delimiter = Object.values(boxes).find(box => box.delimiter)?.delimiter || '/';
 
-    /**
-     * Mark emails as unread
-     */
-    async markAsUnread(uids, folder = 'INBOX') {
-        return this.modifyEmails(
-            uids,
-            (imap, source, callback) => imap.delFlags(source, '\\Seen', callback),  // NO .seq
-            'marked as unread',
-            folder
-        );
+        return { folders, delimiter };
     }
 
     /**
-     * Flag emails as important/starred
+     * Helper: Names of subscribed folders (LSUB)
      */
-    async flagEmails(uids, folder = 'INBOX') {
-        return this.modifyEmails(
-            uids,
-            (imap, source, callback) => imap.addFlags(source, '\\Flagged', callback),  // NO .seq
-            'flagged',
-            folder
-        );
+    async getSubscribedFolderNames(imap) {
+        const boxes = await this.runMailboxCommand(imap, 'getSubscribedBoxes');
+        return this.flattenFolders(boxes).map(f => f.name);
     }
 
     /**
-     * Remove flag/star from emails
+     * Helper: Split a user-supplied folder path on "/" and the server delimiter
+     * Names stay Unicode here; node-imap converts them to modified UTF-7 on the wire
+     * @throws {Error} On empty segments or IMAP wildcard characters
      */
-    async unflagEmails(uids, folder = 'INBOX') {
-        return this.modifyEmails(
-            uids,
-            (imap, source, callback) => imap.delFlags(source, '\\Flagged', callback),  // NO .seq
-            'unflagged',
-            folder
-        );
-    }
+    splitFolderPath(folder, delimiter) {
+        const segments = String(folder).split(delimiter)
+            .flatMap(part => (delimiter === '/' ? [part] : part.split('/')))
+            .map(part => part.trim());
 
-    /**
-     * Delete emails (move to Trash)
-     */
-    async deleteEmails(uids, folder = 'INBOX') {
-        return this.modifyEmails(
-            uids,
-            (imap, source, callback) => imap.move(source, 'Trash', callback),  // NO .seq
-            'moved to Trash',
-            folder
-        );
+        if (segments.some(part => part.length === 0)) {
+            throw new Error(`Invalid folder path "${folder}": empty folder name`);
+        }
+
+        if (segments.some(part => /[*%]/.test(part))) {
+            throw new Error(`Invalid folder path "${folder}": "*" and "%" are not allowed in folder names`);
+        }
+
+        // INBOX is case-insensitive in IMAP
+        if (segments[0].toUpperCase() === 'INBOX') {
+            segments[0] = 'INBOX';
+        }
+
+        return segments;
     }
 
     /**
-     * Archive emails
+     * Helper: Find a folder by full name (INBOX matched case-insensitively)
      */
-    async archiveEmails(uids, folder = 'INBOX') {
-        return this.modifyEmails(
-            uids,
-            (imap, source, callback) => imap.move(source, 'Archive', callback),  // NO .seq
-            'archived',
-            folder
-        );
+    findFolder(folders, name) {
+        return folders.find(f => f.name === name)
+            || (name.toUpperCase().startsWith('INBOX')
+                ? folders.find(f => f.name.toUpperCase() === name.toUpperCase())
+                : undefined);
     }
 
     /**
-     * Move emails to a specific folder
+     * Helper: IMAP STATUS of a folder. node-imap refuses STATUS on the selected mailbox,
+     * so that one is unselected first (without expunging)
      */
-    async moveEmails(uids, folderName, sourceFolder = 'INBOX') {
-        return this.modifyEmails(
-            uids,
-            (imap, source, callback) => imap.move(source, folderName, callback),  // NO .seq
-            `moved to ${folderName}`,
-            sourceFolder
-        );
+    async getFolderStatus(imap, folder) {
+        if (imap._box && imap._box.name === folder) {
+            await new Promise((resolve, reject) => {
+                imap.closeBox(false, (err) => (err ? reject(new Error(`Failed to close folder "${folder}": ${err.message}`)) : resolve()));
+            });
+            this.imapPool.invalidateSelection(imap);
+        }
+
+        return this.runMailboxCommand(imap, 'status', folder);
     }
 
     /**
-     * Helper: Detect if email has attachments from BODYSTRUCTURE
+     * Helper: Promise wrapper for node-imap mailbox commands (addBox, delBox, renameBox, status, ...)
      */
-    hasAttachments(struct) {
-        if (!struct || !Array.isArray(struct)) return false;
-
-        // Recursive check for attachment disposition
-        const checkPart = (part) => {
-            if (!part) return false;
-
-            // Check if this part is an attachment
-            if (part.disposition && part.disposition.type === 'attachment') {
-                return true;
-            }
-
-            // Recursively check sub-parts
-            if (Array.isArray(part)) {
-                return part.some(p => checkPart(p));
-            }
-
-            return false;
-        };
-
-        return checkPart(struct);
+    async runMailboxCommand(imap, method, ...args) {
+        return new Promise((resolve, reject) => {
+            imap[method](...args, (err, result) => {
+                if (err) {
+                    reject(new Error(`${method} failed for "${args[0] ?? ''}": ${err.message}`));
+                    return;
+                }
+                resolve(result);
+            });
+        });
     }
 
     /**
-     * Helper: Flatten nested folder structure for list_folders
+     * Helper: Drop header cache files of a folder and its children (after rename/delete)
      */
-    flattenFolders(boxes, parent = null) {
-        const result = [];
-
-        for (const [name, box] of Object.entries(boxes)) {
-            const fullName = parent ? `${parent}/${name}` : name;
-
-            // Skip NOSELECT folders (can't select them)
-            const isNoSelect = box.attribs && box.attribs.includes('\\Noselect');
-
-            result.push({
-                name: fullName,
-                delimiter: box.delimiter || '/',
-                flags: box.attribs || [],
-                selectable: !isNoSelect
-            });
+    async forgetCachedFolders(folder, delimiter) {
+        if (!this.headerCache) return;
 
-            // Recursively process children
-            if (box.children) {
-                result.push(...this.flattenFolders(box.children, fullName));
+        for (const name of await this.headerCache.listFolders()) {
+            if (name === folder || name.startsWith(folder + delimiter)) {
+                await this.headerCache.forget(name);
             }
         }
-
-        return result;
     }
 
     /**
-     * Helper: Validate UIDs array
+     * Helper: Stop watchers on a folder and its children (before it is deleted)
      */
-    validateUIDs(uids) {
-        if (!uids) {
-            return 'uids is required';
-        }
-
-        if (!Array.isArray(uids)) {
-            return 'uids must be an array';
-        }
-
-        if (uids.length === 0) {
-            return 'uids cannot be empty';
-        }
-
-        const invalidValues = uids.filter(n =>
-            n === undefined ||
-            n === null ||
-            typeof n !== 'number' ||
-            n <= 0 ||
-            !Number.isInteger(n)
-        );
-
-        if (invalidValues.length > 0) {
-            return 'uids contains invalid values (must be positive integers)';
+    stopWatchers(folder, delimiter) {
+        const stopped = [];
+        for (const [name, watcher] of this.watchers) {
+            if (name === folder || name.startsWith(folder + delimiter)) {
+                watcher.stop();
+                this.watchers.delete(name);
+                this.subscriptionWatchers.delete(name);
+                stopped.push(name);
+            }
         }
-
-        return null;
+        return stopped;
     }
 
     /**
-     * List all available IMAP folders
+     * Helper: Restart watchers of a renamed folder (and its children) under the new name
      */
-    async listFolders() {
-        const imap = await this.createImapConnection();
-
-        return new Promise((resolve, reject) => {
-            imap.getBoxes((err, boxes) => {
-                imap.end();
-
-                if (err) {
-                    reject(new Error(`Failed to retrieve folders: ${err.message}`));
-                    return;
-                }
-
-                const folders = this.flattenFolders(boxes);
-
-                resolve({
-                    content: [{
-                        type: 'text',
-                        text: JSON.stringify({
-                            folders: folders,
-                            count: folders.length
-                        }, null, 2)
-                    }]
-                });
-            });
-        });
+    async moveWatchers(source, target, delimiter) {
+        const moved = [];
+        for (const name of this.stopWatchers(source, delimiter)) {
+            const renamed = target + name.substring(source.length);
+            try {
+                await this.watchFolder(renamed);
+                moved.push(renamed);
+            } catch (err) {
+                console.error(`[Folders] Failed to restart watcher on ${renamed}:`, err.message);
+            }
+        }
+        return moved;
     }
 
     setupErrorHandling() {
@@ -1228,6 +8800,10 @@ class YahooMailMCPServer {
         };
 
         process.on('SIGINT', async () => {
+            for (const account of this.accounts.values()) {
+                for (const watcher of account.watchers.values()) watcher.stop();
+                account.imapPool.closeAll();
+            }
             await this.server.close();
             process.exit(0);
         });
@@ -1242,6 +8818,8 @@ class YahooMailMCPServer {
         } else {
             await this.runStdio();
         }
+
+        await this.startConfiguredWatchers();
     }
 
     async runStdio() {
@@ -1261,6 +8839,7 @@ class YahooMailMCPServer {
         console.error('[Server] Environment:', process.env.NODE_ENV || 'development');
         console.error('[Server] Email configured:', !!process.env.YAHOO_EMAIL);
         console.error('[Server] Password configured:', !!process.env.YAHOO_APP_PASSWORD);
+        console.error('[Server] Accounts:', [...this.accounts.keys()].join(', '));
 
         // Enable CORS for Claude.ai and remote MCP connections
         app.use(cors({
@@ -1576,7 +9155,11 @@ class YahooMailMCPServer {
         });
 
         // Health check endpoint (enhanced with environment info)
+        // Liveness only (no auth): account ids, pool stats and watcher details are in list_accounts
         app.get('/health', (req, res) => {
+            const accounts = [...this.accounts.values()];
+            const watchers = accounts.flatMap(account => [...account.watchers.values()]);
+
             res.json({
                 status: 'ok',
                 service: 'yahoo-mail-mcp',
@@ -1588,7 +9171,10 @@ class YahooMailMCPServer {
                     emailConfigured: !!process.env.YAHOO_EMAIL,
                     passwordConfigured: !!process.env.YAHOO_APP_PASSWORD,
                     transportMode: process.env.TRANSPORT_MODE || 'stdio'
-                }
+                },
+                accountsConfigured: accounts.every(account => this.hasCredentials(account)),
+                imapHealthy: accounts.every(account => account.imapPool.getStats().healthy),
+                watchersConnected: watchers.every(watcher => watcher.ready)
             });
         });
 
@@ -1675,6 +9261,41 @@ class YahooMailMCPServer {
                 tools: [
                     'list_emails',
                     'read_email',
+                    'send_email',
+                    'reply_to_email',
+                    'forward_email',
+                    'create_draft',
+                    'update_draft',
+                    'list_drafts',
+                    'delete_draft',
+                    'list_attachments',
+                    'get_attachment',
+                    'watch_folder',
+                    'unwatch_folder',
+                    'get_thread',
+                    'create_folder',
+                    'rename_folder',
+                    'delete_folder',
+                    'subscribe_folder',
+                    'unsubscribe_folder',
+                    'sync_status',
+                    'list_accounts',
+                    'apply_rules',
+                    'archive_matching',
+                    'delete_matching',
+                    'move_matching',
+                    'mark_matching_read',
+                    'expunge_emails',
+                    'empty_folder',
+                    'add_labels',
+                    'remove_labels',
+                    'list_labels',
+                    'list_subscriptions',
+                    'unsubscribe',
+                    'mailbox_stats',
+                    'get_quota',
+                    'list_operations',
+                    'undo_operation',
                     'search_emails',
                     'delete_emails',
                     'archive_emails',
@@ -1683,7 +9304,7 @@ class YahooMailMCPServer {
                     'flag_emails',
                     'unflag_emails',
                     'move_emails'
-                ]
+                ].filter(name => this.isToolEnabled(name))
             });
         });
 